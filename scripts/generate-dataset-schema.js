@@ -0,0 +1,7 @@
+// Regenerates .actor/dataset_schema.json from src/fields.js: `npm run schema`
+import { writeFileSync } from 'node:fs';
+import { buildDatasetSchema } from '../src/fields.js';
+
+const target = new URL('../.actor/dataset_schema.json', import.meta.url);
+writeFileSync(target, `${JSON.stringify(buildDatasetSchema(), null, 2)}\n`);
+console.log(`Wrote ${target.pathname}`);
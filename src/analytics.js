@@ -0,0 +1,142 @@
+// End-of-run job market report: counts, salary percentiles and a posting-date histogram over the saved jobs
+// scraper.js feeds it every pushed job and stores the JSON report and its HTML page in the key-value store
+
+const PERCENTILES = [10, 25, 50, 75, 90];
+// Salaries are compared per month; jobs without a stated period are taken as monthly, like most postings
+const MONTHLY_FACTOR = { hourly: 160, daily: 22, weekly: 52 / 12, monthly: 1, annual: 1 / 12 };
+const UNKNOWN = 'Unknown';
+const HTML_TOP_N = 20;
+
+const bump = (obj, key) => { obj[key] = (obj[key] || 0) + 1; };
+const label = (v) => String(v ?? '').replace(/\s+/g, ' ').trim() || UNKNOWN;
+const sortedCounts = (obj) => Object.fromEntries(Object.entries(obj).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0])));
+
+// Linear interpolation between the closest ranks
+const percentile = (sorted, p) => {
+  if (!sorted.length) return null;
+  const pos = (p / 100) * (sorted.length - 1);
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return Math.round(sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo));
+};
+
+// Midpoint of the job's salary range, per month
+const monthlySalary = (item) => {
+  const { salary_min: min, salary_max: max } = item;
+  const values = [min, max].filter((v) => Number.isFinite(v) && v > 0);
+  if (!values.length || !item.salary_currency) return null;
+  const factor = MONTHLY_FACTOR[item.salary_period] ?? 1;
+  return (values.reduce((a, b) => a + b, 0) / values.length) * factor;
+};
+
+// `state` restores the analytics of an interrupted run
+const createMarketAnalytics = ({ state } = {}) => {
+  const counts = state?.counts ?? { category: {}, job_type: {}, company: {}, location: {} };
+  const salaries = state?.salaries ?? {};
+  const postedByDay = state?.postedByDay ?? {};
+  let jobs = state?.jobs ?? 0;
+
+  return {
+    add(item) {
+      jobs++;
+      bump(counts.category, label(item.category));
+      bump(counts.job_type, label(item.job_type));
+      bump(counts.company, label(item.company));
+      bump(counts.location, label(item.location_state || item.location_city || item.location));
+      const salary = monthlySalary(item);
+      if (salary !== null) {
+        const key = `${label(item.category)}|${item.salary_currency}`;
+        (salaries[key] ??= []).push(salary);
+      }
+      bump(postedByDay, item.date_posted_iso ? String(item.date_posted_iso).slice(0, 10) : UNKNOWN);
+    },
+    state: () => ({ counts, salaries, postedByDay, jobs }),
+    report({ generatedAt = new Date() } = {}) {
+      const salaryRows = Object.entries(salaries).map(([key, values]) => {
+        const [category, currency] = key.split('|');
+        const sorted = [...values].sort((a, b) => a - b);
+        return { category, currency, jobs: sorted.length, ...Object.fromEntries(PERCENTILES.map((p) => [`p${p}`, percentile(sorted, p)])) };
+      }).sort((a, b) => a.category.localeCompare(b.category) || a.currency.localeCompare(b.currency));
+      const days = Object.keys(postedByDay).filter((d) => d !== UNKNOWN).sort();
+      return {
+        generated_at: generatedAt.toISOString(),
+        jobs,
+        jobs_with_salary: salaryRows.reduce((sum, r) => sum + r.jobs, 0),
+        by_category: sortedCounts(counts.category),
+        by_job_type: sortedCounts(counts.job_type),
+        by_company: sortedCounts(counts.company),
+        by_location: sortedCounts(counts.location),
+        monthly_salary_percentiles: salaryRows,
+        posted_by_day: Object.fromEntries(days.map((d) => [d, postedByDay[d]])),
+        posted_date_unknown: postedByDay[UNKNOWN] || 0,
+      };
+    },
+  };
+};
+
+// ---- HTML ----
+const escapeHtml = (s) => String(s ?? '').replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+const formatNumber = (n) => (n === null || n === undefined ? '–' : Number(n).toLocaleString('en-US'));
+
+const countTable = (title, counts) => {
+  const rows = Object.entries(counts).slice(0, HTML_TOP_N);
+  const max = Math.max(1, ...rows.map(([, n]) => n));
+  const more = Object.keys(counts).length - rows.length;
+  return `<section><h2>${escapeHtml(title)}</h2><table>${rows.map(([name, n]) => `
+<tr><th>${escapeHtml(name)}</th><td class="bar"><span style="width:${((n / max) * 100).toFixed(1)}%"></span></td><td class="num">${formatNumber(n)}</td></tr>`).join('')}
+</table>${more > 0 ? `<p class="note">${formatNumber(more)} more in the JSON report</p>` : ''}</section>`;
+};
+
+const salaryTable = (rows) => `<section class="wide"><h2>Monthly salary by category</h2>${rows.length ? `<table>
+<tr><th>Category</th><th>Currency</th><th class="num">Jobs</th>${PERCENTILES.map((p) => `<th class="num">P${p}</th>`).join('')}</tr>${rows.map((r) => `
+<tr><th>${escapeHtml(r.category)}</th><td>${escapeHtml(r.currency)}</td><td class="num">${formatNumber(r.jobs)}</td>${PERCENTILES.map((p) => `<td class="num">${formatNumber(r[`p${p}`])}</td>`).join('')}</tr>`).join('')}
+</table>` : '<p class="note">No job in this run states a salary.</p>'}</section>`;
+
+const histogram = (byDay, unknown) => {
+  const days = Object.entries(byDay);
+  const max = Math.max(1, ...days.map(([, n]) => n));
+  return `<section class="wide"><h2>Jobs by posting date</h2>${days.length ? `<div class="histogram">${days.map(([day, n]) => `
+<div class="col" title="${escapeHtml(day)}: ${n}"><span class="n">${n}</span><span class="bar" style="height:${((n / max) * 100).toFixed(1)}%"></span><span class="day">${escapeHtml(day.slice(5))}</span></div>`).join('')}
+</div>` : ''}${unknown ? `<p class="note">${formatNumber(unknown)} job(s) without a posting date</p>` : ''}</section>`;
+};
+
+// A single page with inline styles and no scripts, readable straight from the key-value store
+const renderMarketReportHtml = (report, { title = 'Job market report' } = {}) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>
+body { font: 14px/1.4 system-ui, sans-serif; margin: 24px; color: #222; }
+h1 { margin: 0 0 4px; } h2 { font-size: 16px; margin: 0 0 8px; }
+.summary { color: #555; margin-bottom: 24px; }
+.grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(360px, 1fr)); gap: 24px; }
+section.wide { grid-column: 1 / -1; }
+table { border-collapse: collapse; width: 100%; }
+th, td { padding: 3px 6px; text-align: left; border-bottom: 1px solid #eee; }
+th { font-weight: 500; } .num { text-align: right; white-space: nowrap; }
+td.bar { width: 45%; } td.bar span { display: block; height: 12px; background: #2f7d4f; border-radius: 2px; }
+.note { color: #777; font-size: 12px; }
+.histogram { display: flex; align-items: flex-end; gap: 2px; height: 180px; overflow-x: auto; }
+.histogram .col { flex: 1 0 18px; display: flex; flex-direction: column; justify-content: flex-end; align-items: center; height: 100%; }
+.histogram .bar { width: 100%; background: #2f7d4f; min-height: 1px; }
+.histogram .n, .histogram .day { font-size: 10px; color: #555; white-space: nowrap; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p class="summary">${formatNumber(report.jobs)} job(s), ${formatNumber(report.jobs_with_salary)} with a salary. Generated ${escapeHtml(report.generated_at)}.</p>
+<div class="grid">
+${countTable('Categories', report.by_category)}
+${countTable('Job types', report.by_job_type)}
+${countTable('Companies', report.by_company)}
+${countTable('Locations', report.by_location)}
+${salaryTable(report.monthly_salary_percentiles)}
+${histogram(report.posted_by_day, report.posted_date_unknown)}
+</div>
+</body>
+</html>
+`;
+
+export { percentile, monthlySalary, createMarketAnalytics, renderMarketReportHtml };
@@ -0,0 +1,111 @@
+// Block handling: recognising challenge, captcha and consent pages, and pacing the crawler after blocks
+// scraper.js asks detectBlock about every response and feeds the rate controller
+
+// Statuses that mean "slow down / go away" rather than a broken page
+const BLOCK_STATUS_CODES = new Set([401, 403, 429, 503]);
+
+const CHALLENGE_SELECTORS = [
+  '#challenge-form', '#challenge-running', '#cf-challenge-running', '#cf-wrapper', '.cf-browser-verification',
+  'form[action*="__cf_chl"]',
+];
+const CAPTCHA_SELECTORS = [
+  '.g-recaptcha', '.h-captcha', '.cf-turnstile', 'iframe[src*="captcha" i]', '#captcha', 'form[action*="captcha" i]',
+];
+const CONSENT_SELECTORS = [
+  'form[action*="consent" i]', '[id*="consent-wall" i]', '[class*="consent-wall" i]', '#onetrust-consent-sdk', '.fc-consent-root',
+];
+const CHALLENGE_TITLES = /^(just a moment|attention required|checking your browser|ddos protection)/i;
+const DENIED_TEXT = /\b(access denied|request blocked|you have been blocked|unusual traffic|too many requests|rate limit(ed)? exceeded)/i;
+const CONSENT_TEXT = /\b(before you continue|we value your privacy|cookie (consent|preferences))/i;
+// A consent banner or a captcha-protected form on a real page is harmless: it only blocks when
+// there is next to nothing else on the page
+const THIN_PAGE_MAX_TEXT = 300;
+
+// Visible text, without the elements matching `exclude` (and the forms around them)
+const textOutside = ($, exclude = []) => {
+  const body = $('body').clone();
+  body.find('script, style, noscript').remove();
+  if (exclude.length) {
+    body.find(exclude.join(', ')).each((_, el) => {
+      const form = $(el).closest('form');
+      (form.length ? form : $(el)).remove();
+    });
+  }
+  // Block-level elements often have no whitespace between them
+  body.find('p, div, h1, h2, h3, li, br').each((_, el) => { $(el).append(' '); });
+  return body.text().replace(/\s+/g, ' ').trim();
+};
+
+// Returns why the response looks blocked ('http-403', 'cloudflare-challenge', 'captcha', 'access-denied',
+// 'consent-wall') or null. `$` may be missing for non-HTML responses.
+const detectBlock = ({ statusCode, $ }) => {
+  const hasAny = (selectors) => !!$ && selectors.some((sel) => $(sel).length > 0);
+  const title = $ ? $('title').first().text().trim() : '';
+  if (hasAny(CHALLENGE_SELECTORS) || CHALLENGE_TITLES.test(title)) return 'cloudflare-challenge';
+  if (/captcha/i.test(title)) return 'captcha';
+  if (BLOCK_STATUS_CODES.has(statusCode)) return `http-${statusCode}`;
+  if (!$) return null;
+  if (DENIED_TEXT.test(title)) return 'access-denied';
+  if (hasAny(CAPTCHA_SELECTORS) && textOutside($, CAPTCHA_SELECTORS).length < THIN_PAGE_MAX_TEXT) return 'captcha';
+  const text = textOutside($);
+  if (text.length < THIN_PAGE_MAX_TEXT && DENIED_TEXT.test(text)) return 'access-denied';
+  if (hasAny(CONSENT_SELECTORS) && textOutside($, CONSENT_SELECTORS).length < THIN_PAGE_MAX_TEXT) return 'consent-wall';
+  if (text.length < THIN_PAGE_MAX_TEXT && CONSENT_TEXT.test(text)) return 'consent-wall';
+  return null;
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Halves concurrency and request rate on every block, and raises them by half again after
+// `healthyStreak` unblocked responses in a row, between the floors and the configured maximums.
+// wait() spaces request starts to the current rate.
+const createRateController = ({
+  maxConcurrency = 20,
+  maxRequestsPerMinute = 120,
+  minConcurrency = 1,
+  minRequestsPerMinute = 10,
+  healthyStreak = 20,
+  now = () => Date.now(),
+  delay = sleep,
+} = {}) => {
+  let concurrency = maxConcurrency;
+  let rpm = maxRequestsPerMinute;
+  let streak = 0;
+  let nextSlot = 0;
+  let slowdowns = 0;
+
+  const current = () => ({ concurrency, rpm });
+  const set = (c, r) => {
+    const changed = c !== concurrency || r !== rpm;
+    concurrency = c;
+    rpm = r;
+    return changed ? current() : null;
+  };
+
+  return {
+    current,
+    // Returns the new limits when they changed, null otherwise
+    onBlock() {
+      streak = 0;
+      slowdowns++;
+      return set(Math.max(minConcurrency, Math.floor(concurrency / 2)), Math.max(minRequestsPerMinute, Math.floor(rpm / 2)));
+    },
+    onSuccess() {
+      if (++streak < healthyStreak) return null;
+      streak = 0;
+      return set(
+        Math.min(maxConcurrency, Math.ceil(concurrency * 1.5)),
+        Math.min(maxRequestsPerMinute, Math.ceil(rpm * 1.5)),
+      );
+    },
+    async wait() {
+      const t = now();
+      const slot = Math.max(t, nextSlot);
+      nextSlot = slot + 60_000 / rpm;
+      if (slot > t) await delay(slot - t);
+    },
+    slowdowns: () => slowdowns,
+  };
+};
+
+export { BLOCK_STATUS_CODES, detectBlock, createRateController };
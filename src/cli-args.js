@@ -0,0 +1,124 @@
+// Command-line parsing for src/cli.js: flags are the input schema's properties
+// No side effects on import, so the tests can call it directly
+
+import { readFileSync } from 'node:fs';
+
+const INPUT_SCHEMA = JSON.parse(readFileSync(new URL('../.actor/input_schema.json', import.meta.url), 'utf8'));
+
+const USAGE = `Usage: jobberman-scraper [options]
+
+Options are the properties of .actor/input_schema.json, e.g.
+  --keyword accountant --location Lagos --results_wanted 20 --collectDetails false
+Array options can be repeated or comma-separated: --jobTypes "Full Time" --jobTypes Contract
+Object and JSON options take JSON: --searches '[{"keyword":"driver"}]'
+
+  --input FILE         Read the options from a JSON file (flags override it)
+  --proxy URL          Use this proxy; repeat for a rotating list (default: no proxy)
+  --proxy-file FILE    Read proxy URLs from a file, one per line
+  --output FILE        Write JSON Lines to FILE instead of stdout
+  --help               Show this help
+`;
+
+const TRUE_VALUES = new Set(['true', '1', 'yes', 'on']);
+const FALSE_VALUES = new Set(['false', '0', 'no', 'off']);
+
+// Flags accept the schema name (results_wanted, collectDetails) or its kebab-case form (results-wanted, collect-details)
+const propertyFor = (flag, properties) => {
+  if (properties[flag]) return flag;
+  const camel = flag.replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+  if (properties[camel]) return camel;
+  const snake = flag.replace(/-/g, '_');
+  return properties[snake] ? snake : null;
+};
+
+const coerceValue = (name, raw, spec) => {
+  const parseJson = () => {
+    try {
+      return JSON.parse(raw);
+    } catch {
+      throw new Error(`--${name} expects JSON, got ${raw}`);
+    }
+  };
+  switch (spec.type) {
+    case 'integer':
+    case 'number': {
+      const n = Number(raw);
+      if (raw === '' || !Number.isFinite(n) || (spec.type === 'integer' && !Number.isInteger(n))) {
+        throw new Error(`--${name} expects ${spec.type === 'integer' ? 'an integer' : 'a number'}, got ${raw}`);
+      }
+      return n;
+    }
+    case 'boolean': {
+      const v = String(raw).toLowerCase();
+      if (TRUE_VALUES.has(v)) return true;
+      if (FALSE_VALUES.has(v)) return false;
+      throw new Error(`--${name} expects true or false, got ${raw}`);
+    }
+    case 'object':
+      return parseJson();
+    case 'array':
+      if (/^\s*\[/.test(raw)) return parseJson();
+      // requestListSources (startUrls) entries are { url } objects
+      return raw.split(',').map((s) => s.trim()).filter(Boolean)
+        .map((s) => (spec.editor === 'requestListSources' ? { url: s } : s));
+    default:
+      return raw;
+  }
+};
+
+const readProxyFile = (path, readFile) => readFile(path).split(/\r?\n/)
+  .map((line) => line.trim())
+  .filter((line) => line && !line.startsWith('#'));
+
+// Returns { help, input, output }; `input` is ready for scrapeJobberman(), with plain proxies in `proxyUrls`.
+// Unknown flags and malformed values throw.
+const parseCliArgs = (argv, { schema = INPUT_SCHEMA, readFile = (p) => readFileSync(p, 'utf8') } = {}) => {
+  const { properties } = schema;
+  const flags = {};
+  const proxyUrls = [];
+  let fileInput = {};
+  let output = null;
+  let help = false;
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) throw new Error(`Unexpected argument: ${arg}`);
+    let [flag, value] = arg.slice(2).split(/=(.*)/s);
+    if (flag === 'help') {
+      help = true;
+      continue;
+    }
+    const name = propertyFor(flag, properties);
+    // A bare boolean flag means true
+    if (value === undefined && name && properties[name].type === 'boolean'
+      && (i + 1 >= argv.length || argv[i + 1].startsWith('--'))) value = 'true';
+    if (value === undefined) {
+      if (i + 1 >= argv.length) throw new Error(`--${flag} needs a value`);
+      value = argv[++i];
+    }
+
+    if (flag === 'input') {
+      fileInput = JSON.parse(readFile(value));
+    } else if (flag === 'output') {
+      output = value;
+    } else if (flag === 'proxy') {
+      proxyUrls.push(value);
+    } else if (flag === 'proxy-file') {
+      proxyUrls.push(...readProxyFile(value, readFile));
+    } else if (name) {
+      const coerced = coerceValue(flag, value, properties[name]);
+      // Repeated array flags accumulate; anything else keeps the last value
+      flags[name] = properties[name].type === 'array' && Array.isArray(flags[name])
+        ? [...flags[name], ...coerced]
+        : coerced;
+    } else {
+      throw new Error(`Unknown option --${flag}. Run with --help for the list of options.`);
+    }
+  }
+
+  const input = { ...fileInput, ...flags };
+  if (proxyUrls.length) input.proxyUrls = [...(Array.isArray(input.proxyUrls) ? input.proxyUrls : []), ...proxyUrls];
+  return { help, input, output };
+};
+
+export { USAGE, parseCliArgs };
@@ -0,0 +1,48 @@
+#!/usr/bin/env node
+// Jobberman.com jobs scraper - command-line entry point, no Apify platform needed
+// Writes one JSON object per line to stdout (or --output); logs go to stderr
+
+import { createWriteStream } from 'node:fs';
+import { once } from 'node:events';
+import { log, LoggerText } from 'crawlee';
+import { scrapeJobberman } from './scraper.js';
+import { USAGE, parseCliArgs } from './cli-args.js';
+
+// The default logger prints info lines to stdout, which belongs to the items
+class StderrLogger extends LoggerText {
+  _outputWithConsole(level, line) {
+    process.stderr.write(`${line}\n`);
+  }
+}
+log.setOptions({ logger: new StderrLogger() });
+
+const run = async () => {
+  const { help, input, output } = parseCliArgs(process.argv.slice(2));
+  if (help) {
+    process.stderr.write(USAGE);
+    return;
+  }
+
+  const out = output ? createWriteStream(output, { encoding: 'utf8' }) : process.stdout;
+  let count = 0;
+  try {
+    for await (const item of scrapeJobberman(input, { onStatus: (message) => log.info(message) })) {
+      // Honour backpressure so a slow consumer does not buffer the whole run
+      if (!out.write(`${JSON.stringify(item)}\n`)) await once(out, 'drain');
+      count++;
+    }
+  } finally {
+    if (out !== process.stdout) {
+      out.end();
+      await once(out, 'finish');
+    }
+  }
+  log.info(`Wrote ${count} items to ${output || 'stdout'}.`);
+};
+
+try {
+  await run();
+} catch (err) {
+  log.error(err.message);
+  process.exitCode = 1;
+}
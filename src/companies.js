@@ -0,0 +1,74 @@
+// Company profile pages: the records behind `company_url` / `company_id` on job items
+// extractCompanyProfile turns a fetched company page into one record; scraper.js fetches and saves them
+
+import { COUNTRIES, DEFAULT_COUNTRY, countryForUrl } from './sites.js';
+import {
+  cleanText, toAbs, collectJobLinks, readLabeledValues, parseJsonLdNode, companyIdFromUrl, normalizeCompanyUrl,
+} from './extractors.js';
+
+const COMPANY_LABELS = [
+  ['industry', /^(industry|sector)$/i],
+  ['size', /^(company size|size|employees|number of employees|staff)$/i],
+  ['location', /^(location|address|head ?(office|quarters)|hq)$/i],
+  ['website', /^(website|web|url)$/i],
+  ['founded', /^(founded|year founded|established)$/i],
+];
+
+const DESCRIPTION_SELECTORS = [
+  '[class*="company-description" i]', '[class*="company-profile" i] p', '[class*="about" i] p', '[itemprop="description"]',
+];
+
+const LOGO_SELECTORS = [
+  'main img[src*="logo" i]', 'main img[alt*="logo" i]', '[class*="logo" i] img', 'header img[class*="company" i]',
+];
+
+// schema.org numberOfEmployees: a number, text or a QuantitativeValue range
+const formatEmployees = (n) => {
+  if (n === null || n === undefined || n === '') return null;
+  if (typeof n !== 'object') return cleanText(n) || null;
+  if (n.minValue != null && n.maxValue != null) return `${n.minValue} - ${n.maxValue}`;
+  if (n.minValue != null) return `${n.minValue}+`;
+  return n.value != null ? String(n.value) : null;
+};
+
+const textOf = ($, selectors) => {
+  for (const sel of selectors) {
+    const txt = cleanText($(sel).map((_, el) => $(el).text()).get().join(' '));
+    if (txt) return txt;
+  }
+  return '';
+};
+
+const extractCompanyProfile = ({ request, $, country = countryForUrl(request.url) || COUNTRIES[DEFAULT_COUNTRY], now = new Date() }) => {
+  const org = parseJsonLdNode($, ['Organization', 'Corporation', 'LocalBusiness']) || {};
+  const labeled = readLabeledValues($, COMPANY_LABELS);
+  const company_url = normalizeCompanyUrl(request.url, request.url) || request.url;
+
+  const logoSrc = (typeof org.logo === 'object' ? org.logo?.url : org.logo)
+    || LOGO_SELECTORS.map((sel) => $(sel).first().attr('src')).find(Boolean);
+  // The employer's own site, never a link back to the job board
+  const website = [labeled.website, org.url, ...[].concat(org.sameAs ?? [])]
+    .map((u) => (u && /^(https?:\/\/|www\.)/i.test(u) ? u : null))
+    .find((u) => u && !countryForUrl(u.startsWith('http') ? u : `https://${u}`)) || null;
+  const open_jobs = collectJobLinks($, request.url).filter((u) => /\/listings\//.test(u));
+
+  return {
+    company_id: companyIdFromUrl(company_url),
+    company_url,
+    name: cleanText(org.name) || cleanText($('main h1, h1').first().text()),
+    industry: labeled.industry || cleanText([].concat(org.industry ?? [])[0]) || null,
+    size: labeled.size || formatEmployees(org.numberOfEmployees),
+    location: labeled.location || null,
+    founded: labeled.founded || cleanText(org.foundingDate) || null,
+    website,
+    logo: (logoSrc && toAbs(logoSrc, request.url)) || null,
+    description: cleanText(String(org.description ?? '').replace(/<[^>]+>/g, ' ')) || textOf($, DESCRIPTION_SELECTORS),
+    open_jobs_count: open_jobs.length,
+    open_jobs,
+    country: country.name,
+    _source: country.host,
+    scraped_at: now.toISOString(),
+  };
+};
+
+export { extractCompanyProfile };
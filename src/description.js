@@ -0,0 +1,212 @@
+// Structure for sanitized job descriptions: section split and Markdown rendering
+// Works on the HTML produced by sanitizeDescription (used by extractors.js and the tests)
+
+import { load as cheerioLoad } from 'cheerio';
+
+// Same normalisation as extractors.js, kept local to avoid an import cycle
+const cleanText = (s) => String(s ?? '')
+  .replace(/[\u00A0\t\r\n]+/g, ' ')
+  .replace(/\s{2,}/g, ' ')
+  .trim();
+
+const HEADING_TAGS = new Set(['h1', 'h2', 'h3', 'h4', 'h5', 'h6']);
+const CONTAINER_TAGS = new Set(['div', 'section', 'article']);
+const LIST_TAGS = new Set(['ul', 'ol']);
+const BOLD_TAGS = new Set(['strong', 'b']);
+
+// ------------------------- SECTIONS -------------------------
+// Checked in order; "About the role" is deliberately not company info
+const SECTION_PATTERNS = [
+  ['about_company', /^(about (us|the (company|client|employer|organi[sz]ation|firm))|about our client|company (overview|profile|description)|who we are|our client)\b/i],
+  ['responsibilities', /responsibilit|duties|accountabilit|what you('|’)?ll do|what you will do|key tasks|day[- ]to[- ]day|your role|role description/i],
+  ['requirements', /requirement|qualification|skills|experience|competenc|eligib|who you are|what you('|’)?ll need|what you need|what we('|’)?re looking for|what we are looking for|ideal candidate/i],
+  ['benefits', /benefit|perks|what we offer|we offer|compensation|remuneration|why join|package/i],
+];
+
+const BULLET_RE = /^\s*(?:[•·▪◦●○■□✓✔➢➤►*–-]|\d{1,2}[.)])\s+/;
+const MAX_HEADING_LENGTH = 60;
+
+const classifyHeading = (text) => {
+  const t = cleanText(text).replace(/[:：]\s*$/, '');
+  return SECTION_PATTERNS.find(([, re]) => re.test(t))?.[0] || null;
+};
+
+// A line reads as a heading when it is short and either bold, colon-terminated or a known section name
+const looksLikeHeading = (text, bold) => {
+  const t = cleanText(text);
+  if (!t || t.length > MAX_HEADING_LENGTH || /[.!?]$/.test(t) || BULLET_RE.test(t)) return false;
+  return bold || /[:：]$/.test(t) || (!!classifyHeading(t) && t.split(' ').length <= 5);
+};
+
+// Split a <p> (or inline run) on <br> into lines, remembering whether a line is entirely bold
+const splitLines = (nodes) => {
+  const lines = [];
+  let text = '';
+  let boldText = '';
+  const flush = () => {
+    const t = cleanText(text);
+    if (t) lines.push({ text: t, bold: cleanText(boldText) === t });
+    text = '';
+    boldText = '';
+  };
+  const visit = (node, inBold) => {
+    if (node.type === 'text') {
+      text += node.data;
+      if (inBold) boldText += node.data;
+    } else if (node.type === 'tag') {
+      if (node.name === 'br') return flush();
+      const bold = inBold || BOLD_TAGS.has(node.name);
+      for (const child of node.children || []) visit(child, bold);
+    }
+  };
+  nodes.forEach((n) => visit(n, false));
+  flush();
+  return lines;
+};
+
+// Flatten the description into an ordered list of { kind: 'heading' | 'item' | 'text', text } blocks
+const collectBlocks = ($, nodes, out = []) => {
+  let inline = [];
+  const flushInline = () => {
+    for (const { text, bold } of splitLines(inline)) {
+      out.push({ kind: looksLikeHeading(text, bold) ? 'heading' : 'text', text });
+    }
+    inline = [];
+  };
+  for (const node of nodes) {
+    const tag = node.type === 'tag' ? node.name : '';
+    if (HEADING_TAGS.has(tag)) {
+      flushInline();
+      const text = cleanText($(node).text());
+      if (text) out.push({ kind: 'heading', text });
+    } else if (LIST_TAGS.has(tag)) {
+      flushInline();
+      collectBlocks($, node.children || [], out);
+    } else if (tag === 'li') {
+      // Nested lists become items of their own
+      flushInline();
+      const own = (node.children || []).filter((c) => !(c.type === 'tag' && LIST_TAGS.has(c.name)));
+      const text = cleanText($(own).text());
+      if (text) out.push({ kind: 'item', text });
+      collectBlocks($, (node.children || []).filter((c) => !own.includes(c)), out);
+    } else if (CONTAINER_TAGS.has(tag) || tag === 'p') {
+      flushInline();
+      if (tag === 'p') {
+        inline = node.children || [];
+        flushInline();
+      } else {
+        collectBlocks($, node.children || [], out);
+      }
+    } else {
+      inline.push(node);
+    }
+  }
+  flushInline();
+  return out;
+};
+
+const emptySections = () => ({ responsibilities: [], requirements: [], benefits: [], about_company: '' });
+
+// Group list items and paragraphs under the nearest recognised heading; text before the first one is ignored
+const splitDescriptionSections = (html) => {
+  const sections = emptySections();
+  if (!html) return sections;
+  const $ = cheerioLoad(`<div id="__root">${html}</div>`);
+  const about = [];
+  let current = null;
+  for (const block of collectBlocks($, $('#__root').contents().toArray())) {
+    if (block.kind === 'heading') {
+      current = classifyHeading(block.text);
+      continue;
+    }
+    if (!current) continue;
+    if (current === 'about_company') {
+      about.push(block.text);
+      continue;
+    }
+    const text = cleanText(block.text.replace(BULLET_RE, ''));
+    if (text && !sections[current].includes(text)) sections[current].push(text);
+  }
+  sections.about_company = about.join('\n\n');
+  return sections;
+};
+
+// ------------------------- MARKDOWN -------------------------
+const escapeMarkdown = (s) => s.replace(/([\\`*_[\]])/g, '\\$1');
+
+const renderInline = ($, nodes) => nodes.map((node) => {
+  if (node.type === 'text') return escapeMarkdown(node.data.replace(/\s+/g, ' '));
+  if (node.type !== 'tag') return '';
+  if (node.name === 'br') return '  \n';
+  const inner = renderInline($, node.children || []);
+  const trimmed = inner.trim();
+  if (!trimmed) return inner;
+  // Keep surrounding spaces outside the markers, or Markdown will not treat them as emphasis
+  const wrap = (marker) => inner.replace(trimmed, `${marker}${trimmed}${marker}`);
+  if (BOLD_TAGS.has(node.name)) return wrap('**');
+  if (node.name === 'em' || node.name === 'i') return wrap('_');
+  if (node.name === 'a' && node.attribs?.href) return inner.replace(trimmed, `[${trimmed}](${node.attribs.href})`);
+  return inner;
+}).join('');
+
+const tidyInline = (s) => s.replace(/[ \t]*  \n[ \t]*/g, '  \n').replace(/ {2,}(?!\n)/g, ' ').trim();
+
+const renderList = ($, list, depth) => {
+  const ordered = list.name === 'ol';
+  const indent = '   '.repeat(depth);
+  const lines = [];
+  $(list).children('li').each((i, li) => {
+    const nested = [];
+    const own = (li.children || []).filter((c) => {
+      if (c.type === 'tag' && LIST_TAGS.has(c.name)) {
+        nested.push(c);
+        return false;
+      }
+      return true;
+    });
+    const text = tidyInline(renderInline($, own)).replace(/  \n/g, `  \n${indent}   `);
+    lines.push(`${indent}${ordered ? `${i + 1}.` : '-'} ${text}`);
+    for (const n of nested) lines.push(renderList($, n, depth + 1));
+  });
+  return lines.join('\n');
+};
+
+const renderBlocks = ($, nodes, out = []) => {
+  let inline = [];
+  const flushInline = () => {
+    const text = tidyInline(renderInline($, inline));
+    if (text) out.push(text);
+    inline = [];
+  };
+  for (const node of nodes) {
+    const tag = node.type === 'tag' ? node.name : '';
+    if (HEADING_TAGS.has(tag)) {
+      flushInline();
+      const text = tidyInline(renderInline($, node.children || [])).replace(/  \n/g, ' ');
+      if (text) out.push(`${'#'.repeat(Number(tag[1]))} ${text}`);
+    } else if (LIST_TAGS.has(tag)) {
+      flushInline();
+      const list = renderList($, node, 0);
+      if (list) out.push(list);
+    } else if (tag === 'p') {
+      flushInline();
+      inline = node.children || [];
+      flushInline();
+    } else if (CONTAINER_TAGS.has(tag)) {
+      flushInline();
+      renderBlocks($, node.children || [], out);
+    } else {
+      inline.push(node);
+    }
+  }
+  flushInline();
+  return out;
+};
+
+const descriptionToMarkdown = (html) => {
+  if (!html) return '';
+  const $ = cheerioLoad(`<div id="__root">${html}</div>`);
+  return renderBlocks($, $('#__root').contents().toArray()).join('\n\n');
+};
+
+export { classifyHeading, emptySections, splitDescriptionSections, descriptionToMarkdown };
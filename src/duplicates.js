@@ -0,0 +1,140 @@
+// Content-based duplicate detection: the same role reposted under a new URL or in another city
+// MinHash over title + company + description; scraper.js keeps one detector per run
+
+import { createHash } from 'node:crypto';
+
+const NUM_HASHES = 64;
+// 16 bands of 4 rows: pairs above ~0.6 similarity almost always share a band
+const BANDS = 16;
+const ROWS = NUM_HASHES / BANDS;
+const SHINGLE_WORDS = 3;
+// Below this many words (listing cards, titles only) single words are compared instead of 3-word shingles
+const MIN_WORDS_FOR_SHINGLES = 20;
+const DEFAULT_THRESHOLD = 0.8;
+
+const COMPANY_SUFFIXES = /\b(limited|ltd|plc|inc|llc|llp|co|company|group|nigeria|ghana|kenya|uganda|tanzania)\b/g;
+// Agency stand-ins carry no identity: such jobs are matched on their text alone
+const ANONYMOUS_COMPANY = /^(confidential|anonymous|undisclosed|private|a client of \w+|our client|jobberman \w+|brightermonday)/;
+
+const normalizeText = (s) => String(s ?? '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+const normalizeCompany = (s) => {
+  const t = normalizeText(s);
+  if (!t || ANONYMOUS_COMPANY.test(t)) return '';
+  return t.replace(COMPANY_SUFFIXES, ' ').replace(/\s+/g, ' ').trim() || t;
+};
+
+// "Accountant - Lagos" and "Accountant (Abuja)" are the same role: drop the location's words from the title
+const normalizeTitle = (title, location) => {
+  const placeWords = new Set(normalizeText(location).split(' ').filter((w) => w.length > 2));
+  return normalizeText(title).split(' ').filter((w) => w && !placeWords.has(w)).join(' ');
+};
+
+const shingle = (text) => {
+  const words = text.split(' ').filter(Boolean);
+  if (words.length < MIN_WORDS_FOR_SHINGLES) return new Set(words);
+  const out = new Set();
+  for (let i = 0; i + SHINGLE_WORDS <= words.length; i++) out.add(words.slice(i, i + SHINGLE_WORDS).join(' '));
+  return out;
+};
+
+// FNV-1a, then murmur3's finalizer per seed to derive the independent hash functions
+const fnv1a = (s) => {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < s.length; i++) h = Math.imul(h ^ s.charCodeAt(i), 0x01000193);
+  return h >>> 0;
+};
+
+const mix = (h) => {
+  h = Math.imul(h ^ (h >>> 16), 0x85ebca6b);
+  h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+  return (h ^ (h >>> 16)) >>> 0;
+};
+
+const SEEDS = Array.from({ length: NUM_HASHES }, (_, i) => mix(i + 1));
+
+const minHash = (shingles) => {
+  const sig = new Array(NUM_HASHES).fill(0xffffffff);
+  for (const s of shingles) {
+    const base = fnv1a(s);
+    for (let i = 0; i < NUM_HASHES; i++) {
+      const h = mix(base ^ SEEDS[i]);
+      if (h < sig[i]) sig[i] = h;
+    }
+  }
+  return sig;
+};
+
+// The share of equal slots estimates the Jaccard similarity of the two shingle sets
+const estimateSimilarity = (a, b) => {
+  let same = 0;
+  for (let i = 0; i < NUM_HASHES; i++) if (a[i] === b[i]) same++;
+  return same / NUM_HASHES;
+};
+
+const fingerprintJob = (item) => {
+  const company = normalizeCompany(item.company);
+  const text = [normalizeTitle(item.title, item.location), company, normalizeText(item.description_text)].filter(Boolean).join(' ');
+  const shingles = shingle(text);
+  return shingles.size ? { company, signature: minHash(shingles) } : null;
+};
+
+const groupIdFor = (url) => createHash('sha1').update(String(url)).digest('hex').slice(0, 12);
+
+// Jobs are compared with the first job of every group so far (of the same company).
+// `entries` restores a detector from a saved state; `register` returns the item's group and, for
+// a duplicate, the URL of the group's first job.
+const createDuplicateDetector = ({ threshold = DEFAULT_THRESHOLD, entries = [] } = {}) => {
+  const minSimilarity = Number.isFinite(+threshold) ? Math.max(0.5, Math.min(1, +threshold)) : DEFAULT_THRESHOLD;
+  const list = [];
+  const buckets = new Map();
+
+  const bandKeys = (company, signature) => Array.from({ length: BANDS }, (_, b) => `${b}|${company}|${signature.slice(b * ROWS, (b + 1) * ROWS).join(',')}`);
+
+  const index = (entry) => {
+    list.push(entry);
+    for (const key of bandKeys(entry.company, entry.signature)) {
+      if (!buckets.has(key)) buckets.set(key, []);
+      buckets.get(key).push(entry);
+    }
+  };
+  entries.forEach(index);
+
+  const findOriginal = (company, signature) => {
+    let best = null;
+    let bestScore = minSimilarity;
+    const seen = new Set();
+    for (const key of bandKeys(company, signature)) {
+      for (const entry of buckets.get(key) || []) {
+        if (seen.has(entry)) continue;
+        seen.add(entry);
+        const score = estimateSimilarity(signature, entry.signature);
+        if (score >= bestScore) {
+          best = entry;
+          bestScore = score;
+        }
+      }
+    }
+    return best && { entry: best, similarity: bestScore };
+  };
+
+  return {
+    register(item) {
+      const fp = fingerprintJob(item);
+      if (!fp) return { duplicate_of: null, duplicate_group: groupIdFor(item.url) };
+      const found = findOriginal(fp.company, fp.signature);
+      if (found) return { duplicate_of: found.entry.url, duplicate_group: found.entry.group };
+      const entry = { url: item.url, group: groupIdFor(item.url), company: fp.company, signature: fp.signature };
+      index(entry);
+      return { duplicate_of: null, duplicate_group: entry.group };
+    },
+    entries: () => list,
+  };
+};
+
+export { normalizeCompany, normalizeTitle, estimateSimilarity, fingerprintJob, createDuplicateDetector };
@@ -0,0 +1,34 @@
+// Flat file exports of the run's items (CSV for spreadsheets, JSONL for pipelines)
+
+import { FIELD_KEYS } from './fields.js';
+
+// Known fields first in their canonical order, then anything else (e.g. renamed columns) in order of appearance
+const collectColumns = (items) => {
+  const seen = new Set();
+  for (const item of items) for (const k of Object.keys(item)) seen.add(k);
+  const known = FIELD_KEYS.filter((k) => seen.has(k));
+  return [...known, ...[...seen].filter((k) => !known.includes(k))];
+};
+
+const flattenValue = (v) => {
+  if (v === null || v === undefined) return '';
+  if (Array.isArray(v)) return v.map(flattenValue).join('; ');
+  if (typeof v === 'object') return JSON.stringify(v);
+  return String(v);
+};
+
+const csvCell = (v) => {
+  const s = flattenValue(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+// Excel opens UTF-8 CSV correctly only with a BOM, and expects CRLF line endings
+const toCsv = (items, columns = collectColumns(items)) => {
+  const rows = [columns.map(csvCell).join(',')];
+  for (const item of items) rows.push(columns.map((c) => csvCell(item[c])).join(','));
+  return `\uFEFF${rows.join('\r\n')}\r\n`;
+};
+
+const toJsonl = (items) => items.map((item) => JSON.stringify(item)).join('\n') + (items.length ? '\n' : '');
+
+export { collectColumns, toCsv, toJsonl };
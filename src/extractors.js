@@ -0,0 +1,1002 @@
+// Jobberman page parsing: listing cards, detail pages, JSON-LD, salaries and dates
+// Cheerio documents in, plain objects out: no requests and no storage (used by scraper.js, reparse.js and the tests)
+
+import { load as cheerioLoad } from 'cheerio';
+import { COUNTRIES, DEFAULT_COUNTRY, countryForUrl } from './sites.js';
+import { emptySections, splitDescriptionSections, descriptionToMarkdown } from './description.js';
+import { emptyLocation, normalizeLocation } from './locations.js';
+
+// ------------------------- UTILITIES -------------------------
+const cleanText = (s) => String(s ?? '')
+  .replace(/[\u00A0\t\r\n]+/g, ' ')
+  .replace(/\s{2,}/g, ' ')
+  .trim();
+
+const deEllipsize = (s) => (s || '').replace(/\u2026/g, '...');
+
+const toAbs = (href, base = COUNTRIES[DEFAULT_COUNTRY].baseUrl) => {
+  try { return new URL(href, base).href; } catch { return null; }
+};
+
+const safeJsonParse = (raw) => {
+  try { return JSON.parse(raw); } catch { return null; }
+};
+
+const getFullText = ($el) => {
+  if (!$el || !$el.length) return '';
+  const rich = $el.attr('title') || $el.attr('aria-label') || $el.attr('data-title') || '';
+  return cleanText(rich || $el.text());
+};
+
+// Keep only text-related tags; strip all attributes **without** using removeAttr
+const sanitizeDescription = ($ctx, $fragment, baseUrl) => {
+  if (!$fragment || !$fragment.length) return '';
+  // Work on a dedicated cheerio root to avoid side-effects
+  const $ = cheerioLoad('<div id="__root"></div>');
+  $('#__root').append($fragment.clone());
+
+  const allowed = new Set([
+    'p','br','strong','b','em','i','u','ul','ol','li',
+    'h1','h2','h3','h4','h5','h6','a','span','div','section','article'
+  ]);
+
+  $('#__root').find('*').each((_, el) => {
+    // Cheerio element nodes have type === 'tag' and the tag name in el.name
+    const isTag = el && el.type === 'tag';
+    const tag = isTag ? String(el.name || '').toLowerCase() : '';
+    if (!isTag) return;
+
+    // Preserve only absolute href for anchors
+    const isAnchor = tag === 'a';
+    let href = isAnchor ? (el.attribs?.href || '') : '';
+
+    // Reset attributes safely
+    el.attribs = {};
+    if (isAnchor && href) {
+      const abs = toAbs(href, baseUrl);
+      if (abs) el.attribs.href = abs;
+    }
+
+    // Drop non-allowed tags but keep their text content
+    if (!allowed.has(tag)) {
+      const $el = $(el);
+      const txt = cleanText($el.text());
+      if (txt) $el.replaceWith(txt);
+      else $el.remove();
+    }
+  });
+
+  // Remove empty nodes (except <br>)
+  $('#__root').find('*').each((_, el) => {
+    if (!el || el.type !== 'tag') return;
+    const tag = (el.name || '').toLowerCase();
+    if (tag === 'br') return;
+    const $el = $(el);
+    if (!cleanText($el.text()) && $el.children().length === 0) $el.remove();
+  });
+
+  let html = $('#__root').html() || '';
+  html = html.replace(/>\s+</g, '><').replace(/\s{2,}/g, ' ').trim();
+  return html;
+};
+
+// ------------------------- SALARY -------------------------
+const DEFAULT_CURRENCY = COUNTRIES[DEFAULT_COUNTRY].currency;
+
+const CURRENCY_SYMBOLS = { '₦': 'NGN', 'GH₵': 'GHS', '₵': 'GHS', 'KSH': 'KES', 'USH': 'UGX', 'TSH': 'TZS', '$': 'USD', '€': 'EUR', '£': 'GBP' };
+const CURRENCY_TOKEN = '(NGN|GHS|KES|UGX|TZS|ZAR|USD|EUR|GBP|₦|GH₵|₵|KSh|USh|TSh|\\$|€|£)';
+const AMOUNT_TOKEN = '(\\d[\\d,]*(?:\\.\\d+)?)\\s*([kKmM](?![a-z]))?';
+const SALARY_WITH_CURRENCY_RE = new RegExp(`(?<![A-Za-z])${CURRENCY_TOKEN}\\s*${AMOUNT_TOKEN}(?:\\s*(?:-|–|to)\\s*${CURRENCY_TOKEN}?\\s*${AMOUNT_TOKEN})?`, 'i');
+const SALARY_BARE_RE = new RegExp(`${AMOUNT_TOKEN}(?:\\s*(?:-|–|to)\\s*${AMOUNT_TOKEN})?`, 'i');
+
+// Matched against card/selector text; order matters ("per month" must not be read as "per m")
+const SALARY_PERIOD_PATTERNS = [
+  ['hourly', /\bper\s+hour\b|\bhourly\b|\/\s*(?:hr|hour)\b/i],
+  ['daily', /\bper\s+day\b|\bdaily\b|\/\s*day\b/i],
+  ['weekly', /\bper\s+week\b|\bweekly\b|\/\s*(?:wk|week)\b/i],
+  ['monthly', /\bper\s+month\b|\bmonthly\b|\/\s*(?:mo|month)\b|\bp\.?m\.?(?=\s|$)/i],
+  ['annual', /\bper\s+(?:annum|year)\b|\bannual(?:ly)?\b|\byearly\b|\/\s*(?:yr|year|annum)\b|\bp\.?a\.?(?=\s|$)/i],
+];
+
+const SALARY_PERIOD_LABELS = { hourly: 'per hour', daily: 'per day', weekly: 'per week', monthly: 'per month', annual: 'per year' };
+// Without a currency, smaller numbers are more likely years of experience or head counts than pay
+const MIN_BARE_SALARY = 1000;
+
+// schema.org QuantitativeValue.unitText values
+const SALARY_UNIT_TEXT = { HOUR: 'hourly', DAY: 'daily', WEEK: 'weekly', MONTH: 'monthly', YEAR: 'annual' };
+
+const emptySalary = () => ({
+  salary_range: '',
+  salary_min: null,
+  salary_max: null,
+  salary_currency: null,
+  salary_period: null,
+  salary_flag: null,
+});
+
+const hasSalary = (s) => !!s && (s.salary_min !== null || s.salary_max !== null || !!s.salary_flag);
+
+const normalizeCurrency = (raw, fallback = DEFAULT_CURRENCY) => {
+  if (!raw) return fallback;
+  const str = String(raw).trim();
+  return CURRENCY_SYMBOLS[str] || CURRENCY_SYMBOLS[str.toUpperCase()] || str.toUpperCase();
+};
+
+const parseAmount = (num, suffix) => {
+  const n = Number(String(num ?? '').replace(/,/g, ''));
+  if (!Number.isFinite(n)) return null;
+  const mult = { k: 1e3, m: 1e6 }[String(suffix || '').toLowerCase()] || 1;
+  return Math.round(n * mult);
+};
+
+const detectSalaryPeriod = (text) => {
+  for (const [period, re] of SALARY_PERIOD_PATTERNS) {
+    if (re.test(text)) return period;
+  }
+  return null;
+};
+
+const detectSalaryFlag = (text) => {
+  if (/\bconfidential\b/i.test(text)) return 'Confidential';
+  if (/\bnegotiable\b/i.test(text)) return 'Negotiable';
+  return null;
+};
+
+// Fixed locale, so the output does not depend on the machine's
+const formatSalaryRange = ({ salary_min: min, salary_max: max, salary_currency: c, salary_period: period, salary_flag: flag }) => {
+  const mk = (n) => `${c} ${n.toLocaleString('en-US')}`;
+  const per = SALARY_PERIOD_LABELS[period] ? ` ${SALARY_PERIOD_LABELS[period]}` : '';
+  if (min !== null && max !== null && max !== min) return `${mk(min)} - ${mk(max)}${per}`;
+  if (min !== null || max !== null) return `${mk(min ?? max)}${per}`;
+  return flag || '';
+};
+
+// Parse free text such as "NGN 150,000 - 300,000 per month" or "Confidential"
+const parseSalaryText = (text, defaultCurrency = DEFAULT_CURRENCY) => {
+  const out = emptySalary();
+  const txt = cleanText(text);
+  if (!txt) return out;
+
+  out.salary_flag = detectSalaryFlag(txt);
+  out.salary_period = detectSalaryPeriod(txt);
+
+  let min = null, max = null, currency = null;
+  const m = txt.match(SALARY_WITH_CURRENCY_RE);
+  if (m) {
+    currency = normalizeCurrency(m[1] || m[4], defaultCurrency);
+    min = parseAmount(m[2], m[3]);
+    max = m[5] ? parseAmount(m[5], m[6]) : null;
+  } else {
+    const b = txt.match(SALARY_BARE_RE);
+    if (b && (b[2] || b[4] || parseAmount(b[1]) >= MIN_BARE_SALARY)) {
+      currency = defaultCurrency;
+      min = parseAmount(b[1], b[2]);
+      max = b[3] ? parseAmount(b[3], b[4]) : null;
+    }
+  }
+
+  if (min !== null || max !== null) {
+    if (min !== null && max !== null && max < min) [min, max] = [max, min];
+    out.salary_min = min;
+    out.salary_max = max ?? min;
+    out.salary_currency = currency;
+  }
+  out.salary_range = formatSalaryRange(out) || txt;
+  return out;
+};
+
+// Parse a schema.org baseSalary (MonetaryAmount with a nested QuantitativeValue, or a flat variant)
+const parseJsonLdSalary = (sal, defaultCurrency = DEFAULT_CURRENCY) => {
+  const out = emptySalary();
+  if (!sal) return out;
+  if (typeof sal !== 'object') return parseSalaryText(sal, defaultCurrency);
+
+  const val = (sal.value && typeof sal.value === 'object') ? sal.value : sal;
+  const num = (n) => {
+    if (n === undefined || n === null || n === '') return null;
+    return parseAmount(n);
+  };
+  const single = typeof sal.value === 'number' || typeof sal.value === 'string' ? sal.value : (val.value ?? val.amount);
+  let min = num(val.minValue ?? single);
+  let max = num(val.maxValue ?? single);
+  if (min === null) min = max;
+  if (max === null) max = min;
+  if (min !== null && max !== null && max < min) [min, max] = [max, min];
+
+  const unit = String(val.unitText || sal.unitText || '').toUpperCase();
+  out.salary_period = SALARY_UNIT_TEXT[unit] || null;
+  out.salary_flag = detectSalaryFlag([sal.description, val.description].filter(Boolean).join(' '));
+  if (min !== null) {
+    out.salary_min = min;
+    out.salary_max = max;
+    out.salary_currency = normalizeCurrency(sal.currency || val.currency, defaultCurrency);
+  }
+  out.salary_range = formatSalaryRange(out);
+  return out;
+};
+
+const pickSalary = (item) => {
+  const out = emptySalary();
+  for (const k of Object.keys(out)) if (item && item[k] !== undefined) out[k] = item[k];
+  return out;
+};
+
+// ------------------------- DATES -------------------------
+const MS_PER = { minute: 60e3, hour: 3600e3, day: 86400e3, week: 7 * 86400e3 };
+
+// Windows of the `posted_date` input; keys are normalized like in buildStartUrl
+const POSTED_DATE_WINDOW_DAYS = { '24h': 1, '7d': 7, '30d': 30, '1day': 1, '7days': 7, '30days': 30 };
+
+// Absolute dates (JSON-LD, "2024-05-01", with or without timezone) -> UTC ISO string
+const toIsoDate = (raw) => {
+  if (!raw) return null;
+  const t = Date.parse(String(raw).trim());
+  return Number.isNaN(t) ? null : new Date(t).toISOString();
+};
+
+// "3 days ago", "an hour ago", "Today", "Yesterday", "New" or an absolute date -> UTC ISO string relative to `now`
+const normalizeDatePosted = (raw, now = new Date()) => {
+  const txt = cleanText(raw);
+  if (!txt) return null;
+  const m = txt.match(/\b(\d{1,3}|an?)\s+(minute|hour|day|week|month)s?\s+ago\b/i);
+  if (m) {
+    const n = /^an?$/i.test(m[1]) ? 1 : Number(m[1]);
+    const unit = m[2].toLowerCase();
+    const d = new Date(now.getTime());
+    if (unit === 'month') d.setUTCMonth(d.getUTCMonth() - n);
+    else d.setTime(d.getTime() - n * MS_PER[unit]);
+    return d.toISOString();
+  }
+  if (/^(today|new|just now)$/i.test(txt)) return new Date(now.getTime()).toISOString();
+  if (/^yesterday$/i.test(txt)) return new Date(now.getTime() - MS_PER.day).toISOString();
+  return toIsoDate(txt);
+};
+
+// The site only shows day-level dates, so a job is kept if it falls within the window plus one day
+const isWithinPostedDate = (isoDate, postedDate, now = new Date()) => {
+  const days = POSTED_DATE_WINDOW_DAYS[String(postedDate ?? '').toLowerCase().replace(/\s+/g, '')];
+  if (!days || !isoDate) return true;
+  return Date.parse(isoDate) >= now.getTime() - (days + 1) * MS_PER.day;
+};
+
+// ------------------------- EXPERIENCE, EDUCATION & SKILLS -------------------------
+const emptyRequirements = () => ({ experience_years_min: null, experience_level: null, education_level: null, skills: [] });
+
+const pickRequirements = (item) => {
+  const empty = emptyRequirements();
+  return Object.fromEntries(Object.keys(empty).map((k) => [k, item[k] ?? empty[k]]));
+};
+
+// Same slugs as the experienceLevel search filter; checked in order
+const EXPERIENCE_LEVELS = [
+  ['internship-graduate', /intern|graduate|trainee|nysc|apprentice/i],
+  ['entry-level', /entry|junior|no experience|fresh/i],
+  ['mid-level', /\bmid|intermediate|experienced/i],
+  ['executive-level', /executive|director|c-level|head of/i],
+  ['senior-level', /senior|lead|principal|manager/i],
+];
+
+// Minimum qualification -> stable slug, lowest first: "HND/Degree" or "B.Sc/M.Sc" keeps the lower bar.
+// Certificates and vocational training come last, as they are usually asked for next to a level.
+const EDUCATION_LEVELS = [
+  ['secondary', /ssce|wassce|waec|secondary|high school|o'?\s?level/i],
+  ['ond', /\bond\b|ordinary national diploma/i],
+  ['nce', /\bnce\b/i],
+  ['diploma', /(?<!national )diploma|associate degree/i],
+  ['hnd', /\bhnd\b|higher national diploma/i],
+  ['bachelor', /bachelor|(?<!(?:master|doctorate|associate|post-?graduate)(?:'?s)?\s)degree|\bb\.?\s?(sc|a|eng|tech)\b/i],
+  ['master', /master|\bm\.?\s?sc\b|\bmba\b|\bm\.?a\b|post-?graduate/i],
+  ['doctorate', /ph\.?\s?d|doctora|fellowship/i],
+  ['certificate', /certificat/i],
+  ['vocational', /vocational|\btrade\b|technical (school|college|training)/i],
+];
+
+const normalizeExperienceLevel = (raw) => {
+  const txt = cleanText(raw);
+  return txt ? EXPERIENCE_LEVELS.find(([, re]) => re.test(txt))?.[0] || null : null;
+};
+
+// Unrecognised qualifications are kept as written rather than dropped
+const normalizeEducationLevel = (raw) => {
+  const txt = cleanText(raw);
+  if (!txt || /^(none|others?|n\/a|not specified)$/i.test(txt)) return null;
+  return EDUCATION_LEVELS.find(([, re]) => re.test(txt))?.[0] || txt;
+};
+
+// "3 years", "2 - 5 yrs", "5+ years", "18 months", "No experience" -> minimum years
+const parseExperienceYears = (raw) => {
+  const txt = cleanText(raw);
+  if (!txt) return null;
+  if (/\bno (prior )?experience\b|\bfresh graduates?\b/i.test(txt)) return 0;
+  const m = txt.match(/(\d+(?:\.\d+)?)\s*\+?\s*(?:(?:-|–|to)\s*\d+(?:\.\d+)?\s*)?(years?|yrs?|months?)\b/i);
+  if (!m) return null;
+  const n = Number(m[1]);
+  return /^m/i.test(m[2]) ? Math.round((n / 12) * 10) / 10 : n;
+};
+
+// JSON-LD skills come as a comma/semicolon separated string, an array of strings or DefinedTerm objects
+const parseSkills = (raw) => {
+  const parts = [].concat(raw ?? [])
+    .flatMap((s) => (s && typeof s === 'object' ? [s.name ?? s['@name'] ?? ''] : String(s ?? '').split(/[,;\n|•]+/)))
+    .map((s) => cleanText(s).replace(/\.$/, ''))
+    .filter((s) => s && s.length <= 60);
+  const seen = new Set();
+  return parts.filter((s) => !seen.has(s.toLowerCase()) && seen.add(s.toLowerCase()));
+};
+
+// JSON-LD experienceRequirements: text, or OccupationalExperienceRequirements with monthsOfExperience
+const parseJsonLdExperience = (exp) => {
+  const node = Array.isArray(exp) ? exp[0] : exp;
+  if (!node) return { years: null, level: null };
+  if (typeof node === 'object') {
+    const months = Number(node.monthsOfExperience);
+    const text = node.description || node.name || '';
+    return {
+      years: Number.isFinite(months) && node.monthsOfExperience !== '' ? Math.round((months / 12) * 10) / 10 : parseExperienceYears(text),
+      level: normalizeExperienceLevel(text),
+    };
+  }
+  return { years: parseExperienceYears(node), level: normalizeExperienceLevel(node) };
+};
+
+// JSON-LD educationRequirements: text, or EducationalOccupationalCredential with credentialCategory
+const parseJsonLdEducation = (edu) => {
+  const node = Array.isArray(edu) ? edu[0] : edu;
+  if (!node) return null;
+  return normalizeEducationLevel(typeof node === 'object' ? (node.credentialCategory || node.name || node.description) : node);
+};
+
+// Labels used in the key-facts summary of detail pages ("Minimum Qualification: Degree")
+const SUMMARY_LABELS = [
+  ['education', /^(minimum )?(qualification|education)( level| requirements?)?$/i],
+  ['level', /^(experience|career|seniority|job) level$/i],
+  ['years', /^(minimum |years of )?experience( length| required| requirements?)?$/i],
+  ['skills', /^(required |key )?skills( required)?$/i],
+];
+
+const readSummaryPair = ($, el) => {
+  const $el = $(el);
+  const txt = cleanText($el.text());
+  if (!txt || txt.length > 150) return null;
+  const m = txt.match(/^([^:]{3,40}):\s*(.+)$/);
+  if (m) return [m[1], m[2]];
+  const $kids = $el.children();
+  if ($kids.length === 2) return [cleanText($kids.eq(0).text()), cleanText($kids.eq(1).text())];
+  return null;
+};
+
+// Label/value pairs from the page: "Label: value" elements, two-child rows and <dt>/<dd> lists.
+// `labels` is [[key, labelRegex]]; returns { key: valueText } with the first match per key.
+const readLabeledValues = ($, labels) => {
+  const found = {};
+  const take = (label, value) => {
+    const key = labels.find(([, re]) => re.test(cleanText(label)))?.[0];
+    if (key && value && !(key in found)) found[key] = value;
+  };
+  $('dt').each((_, dt) => take($(dt).text(), cleanText($(dt).next('dd').text())));
+  $('main li, main p, main div, main tr, article li, article p, article div, article tr').each((_, el) => {
+    const pair = readSummaryPair($, el);
+    if (pair) take(pair[0], pair[1]);
+  });
+  return found;
+};
+
+const extractSummaryRequirements = ($) => {
+  const found = readLabeledValues($, SUMMARY_LABELS);
+  return {
+    experience_years_min: parseExperienceYears(found.years),
+    experience_level: normalizeExperienceLevel(found.level),
+    education_level: normalizeEducationLevel(found.education),
+    skills: parseSkills(found.skills),
+  };
+};
+
+// ------------------------- COMPANY LINKS -------------------------
+const COMPANY_LINK_SELECTOR = 'a[href*="/company/"], a[href*="/companies/"], a[href*="/employers/"]';
+const COMPANY_LOGO_SELECTOR = 'img[src*="logo" i], img[alt*="logo" i], img[class*="logo" i], [class*="logo" i] img';
+
+const emptyCompanyRef = () => ({ company_url: null, company_id: null, company_logo: null });
+
+// Company pages are /company/<slug> (or /companies/, /employers/); the slug is the join key
+const companyIdFromUrl = (url) => {
+  try {
+    const parts = new URL(url).pathname.split('/').filter(Boolean);
+    const idx = parts.findIndex((p) => /^(company|companies|employers)$/i.test(p));
+    return idx > -1 && parts[idx + 1] ? decodeURIComponent(parts[idx + 1]).toLowerCase() : null;
+  } catch { return null; }
+};
+
+const normalizeCompanyUrl = (href, base) => {
+  const abs = href && toAbs(href, base);
+  // LinkedIn and the like also use /company/ paths
+  if (!abs || !countryForUrl(abs) || !companyIdFromUrl(abs)) return null;
+  const u = new URL(abs);
+  return `${u.origin}${u.pathname.replace(/\/+$/, '')}`;
+};
+
+// Company page link and logo inside a scope (a listing card or the detail page header)
+const extractCompanyRef = ($, $scope, base) => {
+  const ref = emptyCompanyRef();
+  if (!$scope || !$scope.length) return ref;
+  $scope.find(COMPANY_LINK_SELECTOR).each((_, a) => {
+    ref.company_url = normalizeCompanyUrl($(a).attr('href'), base);
+    return !ref.company_url;
+  });
+  ref.company_id = ref.company_url ? companyIdFromUrl(ref.company_url) : null;
+  const src = $scope.find(COMPANY_LOGO_SELECTOR).first().attr('src');
+  ref.company_logo = (src && toAbs(src, base)) || null;
+  return ref;
+};
+
+// ------------------------- APPLICATION -------------------------
+const EMAIL_RE = /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g;
+const IS_EMAIL_RE = /^[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}$/;
+// Sentences that tell candidates where to send their application
+const APPLY_BY_EMAIL_RE = /\b(send|forward|e-?mail|submit|apply)\b[^.]{0,120}\b(cv|c\.v|resume|résumé|application|applications|cover letter)s?\b|\b(cv|resume|applications?)\b[^.]{0,80}\b(to|via|at)\b/i;
+const APPLY_TEXT_RE = /\bapply\b/i;
+const EASY_APPLY_RE = /\b(easy|quick|1-click|one-click) apply\b/i;
+const FEATURED_RE = /^(featured|premium|sponsored|top job)$/i;
+// Query parameters that redirect wrappers (tracking links, /redirect?url=...) keep the target in
+const REDIRECT_PARAMS = ['url', 'u', 'target', 'redirect', 'redirect_url', 'redirect_uri', 'redirectTo', 'dest', 'destination', 'to', 'link', 'goto', 'out', 'q'];
+
+const emptyApplication = () => ({ apply_type: null, apply_url: null, apply_email: null, is_featured: false });
+
+// Follows redirect wrappers whose target is in the query string, e.g. /redirect?url=https%3A%2F%2Fcareers.acme.com
+const unwrapRedirect = (href, base, depth = 0) => {
+  const abs = href && toAbs(href, base);
+  if (!abs || !/^https?:/i.test(abs) || depth > 3) return abs || null;
+  const u = new URL(abs);
+  for (const name of REDIRECT_PARAMS) {
+    const target = u.searchParams.get(name);
+    if (target && /^https?:\/\//i.test(target)) return unwrapRedirect(target, abs, depth + 1);
+  }
+  return u.href;
+};
+
+// Emails of the job board itself (support, newsletters) are not application addresses
+const isOwnEmail = (email) => !!countryForUrl(`https://${email.split('@')[1]}`);
+
+const findApplyEmail = ($, $scope) => {
+  const mailto = $scope.find('a[href^="mailto:" i]').map((_, a) => decodeURIComponent($(a).attr('href').slice(7).split('?')[0]).trim()).get();
+  const fromText = cleanText($scope.text()).split(/(?<=[.!?])\s+/)
+    .filter((sentence) => APPLY_BY_EMAIL_RE.test(sentence))
+    .flatMap((sentence) => sentence.match(EMAIL_RE) || []);
+  return [...mailto, ...fromText].map((e) => e.replace(/[.,;:]+$/, '').toLowerCase()).find((e) => IS_EMAIL_RE.test(e) && !isOwnEmail(e)) || null;
+};
+
+const BADGE_SELECTORS = 'span, div, small, strong, p, [class*="badge" i], [class*="tag" i]';
+// Where the job's own header ends: its description, or the related-job cards and widgets after it
+const JOB_HEADER_END = '[class*="description" i], [class*="similar" i], [class*="related" i], [class*="job-card" i], section, aside, article';
+
+const hasFeaturedBadge = ($, $scope) => $scope.find(BADGE_SELECTORS).addBack(BADGE_SELECTORS).toArray()
+  .some((el) => FEATURED_RE.test(cleanText($(el).text())))
+  || $scope.is('[class*="featured" i]')
+  // A badge, not a "featured jobs" block full of links
+  || $scope.find('[class*="featured" i]').toArray().some((el) => !$(el).find('a').length);
+
+// The detail page's header block: the title and the meta lines next to it, up to the description
+const jobHeader = ($, $job) => {
+  if (!$job?.length) return $job;
+  const $explicit = $job.find('.job-details__header, .job-top, [class*="job-header" i]').first();
+  if ($explicit.length) return $explicit;
+  const $title = $job.find('h1').first();
+  if (!$title.length) return $title;
+  return $title.add($title.prevAll()).add($title.nextUntil(JOB_HEADER_END)).not(JOB_HEADER_END);
+};
+
+// How to apply, from a listing card or the detail page: an external link wins over an email address,
+// which wins over the site's own (Easy Apply) application. Badges are only looked for in `$badgeScope`.
+const extractApplication = ($, $scope, base, $badgeScope = $scope) => {
+  const app = emptyApplication();
+  if (!$scope || !$scope.length) return app;
+  app.is_featured = $badgeScope.length > 0 && hasFeaturedBadge($, $badgeScope);
+
+  let onSite = null;
+  let external = null;
+  $scope.find('a[href], button[data-href], button[data-url]').each((_, el) => {
+    const $el = $(el);
+    const label = cleanText($el.text()) || cleanText($el.attr('aria-label')) || cleanText($el.attr('title'));
+    const href = $el.attr('href') || $el.attr('data-href') || $el.attr('data-url');
+    if (!APPLY_TEXT_RE.test(label) && !/\/apply\b/i.test(href || '')) return;
+    if (/^mailto:/i.test(href || '')) return;
+    const target = unwrapRedirect(href, base);
+    if (!target) return;
+    if (countryForUrl(target)) onSite ??= target;
+    else external ??= target;
+  });
+  const email = findApplyEmail($, $scope);
+  const easy = EASY_APPLY_RE.test(cleanText($scope.text()));
+
+  if (external) Object.assign(app, { apply_type: 'external', apply_url: external });
+  else if (email) app.apply_type = 'email';
+  else if (easy || onSite) Object.assign(app, { apply_type: 'easy_apply', apply_url: onSite });
+  app.apply_email = email;
+  return app;
+};
+
+// ------------------------- SELECTORS & JSON-LD -------------------------
+const buildSelectorMap = () => ({
+  title: [ 'article h1', 'header h1', '.job-details h1', 'h1[class*="job" i]' ],
+  company: [ 'article h2:first-of-type', 'header h2', '[class*="company" i] h2', '[itemprop="hiringOrganization"] [itemprop="name"]' ],
+  job_type: [ 'article div a[href*="employment" i]', '[class*="employment" i] a', '[itemprop="employmentType"]', 'a[href*="employment" i]:nth-of-type(2)' ],
+  location: [ 'article div a[href*="location" i]', '[class*="location" i] a, [class*="job-" i] a:nth-of-type(1)', '[itemprop="jobLocation"] [itemprop*="addressLocality" i]' ],
+  salary: [ 'article div [class*="salary" i] span', '[class*="salary" i]', '[itemprop="baseSalary"]' ],
+  category: [ 'article div a[href*="category" i]', '[class*="category" i] a' ],
+  description: [ 'article > div:nth-of-type(4)', '.job-description, .job-details__main, [class*="job-description" i], #job-description, article.job-details, .job-summary, .job-content', '[itemprop="description"]' ],
+});
+
+// Like pickFirst, but also reports which selector matched (for the health report)
+const pickFirstMatch = ($, selectors) => {
+  for (const sel of selectors) {
+    const $el = $(sel).first();
+    if ($el && $el.length) return { $el, selector: sel };
+  }
+  return { $el: null, selector: null };
+};
+
+const pickFirst = ($, selectors) => pickFirstMatch($, selectors).$el;
+
+// "3 days ago" and ISO dates anywhere in the text; Today/Yesterday/New only as the whole text (after an
+// optional "Posted"), since descriptions and titles use those words too
+const matchDatePosted = (txt) => {
+  if (!txt) return null;
+  let m = txt.match(/\b(\d{1,2}|an?)\s+(minutes?|hours?|days?|weeks?|months?)\s+ago\b/i);
+  if (m) return m[0];
+  m = txt.match(/^(?:posted:?\s*)?(Today|Yesterday|New)$/i);
+  if (m) return m[1];
+  m = txt.match(/\b\d{4}-\d{2}-\d{2}\b/);
+  if (m) return m[0];
+  return null;
+};
+
+const DATE_ELEMENT_SELECTORS = 'time, [class*="date" i], [class*="posted" i], [class*="meta" i]';
+// A "Posted 2 days ago" line is short; longer leaf text is description
+const MAX_DATE_LINE_LENGTH = 40;
+
+// The posting date from the page's date or meta elements, or from a short line of its own in `scope`
+const extractDatePosted = ($, scope = 'article, header, .job-top, .job-details__header') => {
+  for (const el of $(DATE_ELEMENT_SELECTORS).toArray()) {
+    const found = matchDatePosted(cleanText($(el).attr('datetime') || $(el).text()));
+    if (found) return found;
+  }
+  for (const el of $(scope).first().find('p, span, div, li, small').toArray()) {
+    if ($(el).children().length) continue;
+    const txt = cleanText($(el).text());
+    if (txt.length > MAX_DATE_LINE_LENGTH) continue;
+    const found = matchDatePosted(txt);
+    if (found) return found;
+  }
+  return null;
+};
+
+// First JSON-LD node of one of `types`, looking inside @graph and top-level arrays
+const parseJsonLdNode = ($, types) => {
+  let found = null;
+  $('script[type="application/ld+json"]').each((_, s) => {
+    const raw = $(s).contents().text();
+    const parsed = safeJsonParse(raw);
+    if (!parsed) return;
+    
+    // Handle @graph structure
+    let candidates = [];
+    if (parsed['@graph'] && Array.isArray(parsed['@graph'])) {
+      candidates = parsed['@graph'];
+    } else {
+      candidates = Array.isArray(parsed) ? parsed : [parsed];
+    }
+    
+    for (const node of candidates) {
+      const t = node && node['@type'];
+      if ([].concat(t ?? []).some((x) => types.includes(x))) {
+        found = node; 
+        return false; // Break out of .each()
+      }
+    }
+  });
+  return found;
+};
+
+const parseJsonLdJob = ($) => parseJsonLdNode($, ['JobPosting']);
+
+const enrichFromJsonLd = (jsonLd, fields, baseUrl, defaultCurrency = DEFAULT_CURRENCY) => {
+  if (!jsonLd) return fields;
+  const out = { ...fields };
+  
+  // Title
+  out.title = jsonLd.title || out.title;
+  
+  // Company
+  const org = jsonLd.hiringOrganization;
+  out.company = (org && (org.name || org['@name'])) || out.company;
+  if (org && typeof org === 'object') {
+    // sameAs/url may point to the employer's own website; only a company page on the site is a join key
+    const companyUrl = [].concat(org.sameAs ?? [], org.url ?? []).map((u) => normalizeCompanyUrl(u, baseUrl)).find(Boolean);
+    if (companyUrl && !out.company_url) {
+      out.company_url = companyUrl;
+      out.company_id = companyIdFromUrl(companyUrl);
+    }
+    const logo = typeof org.logo === 'object' ? org.logo?.url : org.logo;
+    if (logo) out.company_logo = toAbs(logo, baseUrl) || out.company_logo || null;
+  }
+  
+  // Date Posted
+  out.date_posted = jsonLd.datePosted || out.date_posted;
+  out.valid_through = toIsoDate(jsonLd.validThrough) || out.valid_through || null;
+
+  // Employment Type - handle FULL_TIME, PART_TIME, etc.
+  if (jsonLd.employmentType) {
+    const empType = Array.isArray(jsonLd.employmentType) ? jsonLd.employmentType[0] : jsonLd.employmentType;
+    // Convert FULL_TIME to "Full Time", PART_TIME to "Part Time"
+    out.job_type = String(empType).toLowerCase().replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
+  }
+
+  // Location - handle multiple formats
+  const locNode = jsonLd.jobLocation || jsonLd.jobLocationType;
+  if (locNode && typeof locNode === 'object') {
+    const addr = Array.isArray(locNode) ? locNode[0]?.address : locNode.address;
+    if (addr) {
+      // Check for streetAddress (Jobberman uses this for city/state)
+      if (addr.streetAddress) {
+        out.location = addr.streetAddress;
+      } else {
+        // Fallback to locality/region/country
+        const parts = [addr.addressLocality, addr.addressRegion, addr.addressCountry].filter(Boolean);
+        if (parts.length) out.location = out.location || parts.join(', ');
+      }
+    }
+  }
+
+  // Salary - handle nested value structure; keep the page's salary when JSON-LD has none
+  const salary = parseJsonLdSalary(jsonLd.baseSalary, defaultCurrency);
+  if (hasSalary(salary)) Object.assign(out, salary);
+
+  // Category - use occupationalCategory or industry
+  if (jsonLd.occupationalCategory && !out.category) {
+    out.category = Array.isArray(jsonLd.occupationalCategory) ? jsonLd.occupationalCategory[0] : jsonLd.occupationalCategory;
+  } else if (jsonLd.industry && !out.category) {
+    out.category = Array.isArray(jsonLd.industry) ? jsonLd.industry[0] : jsonLd.industry;
+  }
+
+  // Experience, education and skills - the page's summary block stays as the fallback
+  const experience = parseJsonLdExperience(jsonLd.experienceRequirements);
+  if (experience.years !== null) out.experience_years_min = experience.years;
+  if (experience.level) out.experience_level = experience.level;
+  out.education_level = parseJsonLdEducation(jsonLd.educationRequirements) || out.education_level || null;
+  const skills = parseSkills(jsonLd.skills);
+  if (skills.length) out.skills = skills;
+
+  // Description
+  if (jsonLd.description) {
+    const $wrap = cheerioLoad(`<div>${jsonLd.description}</div>`);
+    const frag = $wrap('div').first();
+    out.description_html = sanitizeDescription($wrap, frag, baseUrl) || out.description_html;
+    out.description_text = cleanText(frag.text()) || out.description_text;
+  }
+  
+  return out;
+};
+
+// ------------------------- LISTING PAGE HELPERS -------------------------
+const collectJobLinks = ($, base) => {
+  const links = new Set();
+  // Primary pattern: /listings/<slug>
+  $('a[href*="/listings/"]').each((_, a) => {
+    const href = $(a).attr('href');
+    const abs = href && toAbs(href, base);
+    if (abs && !abs.includes('#')) links.add(abs.split('?')[0]);
+  });
+  // Fallbacks
+  if (links.size === 0) {
+    $('.job-list li a, .job-card a, .search-result-item a, .job-item a').each((_, a) => {
+      const href = $(a).attr('href');
+      const abs = href && toAbs(href, base);
+      if (abs) links.add(abs.split('?')[0]);
+    });
+  }
+  return [...links];
+};
+
+// Only a real "next" link counts: a made-up ?page=N would walk past the last page
+const findNextUrl = ($, currentUrl) => {
+  const nextLink =
+    $('a[href*="?page="]').filter((_, a) => /next/i.test($(a).text())).attr('href') ||
+    $('a[rel="next"]').attr('href') ||
+    $('a').filter((_, a) => /Go to next page/i.test($(a).text())).attr('href');
+  return nextLink ? toAbs(nextLink, currentUrl) : null;
+};
+
+const pageFromUrl = (url) => {
+  try {
+    const n = parseInt(new URL(url).searchParams.get('page'), 10);
+    return n > 0 ? n : 1;
+  } catch {
+    return 1;
+  }
+};
+
+const buildPageUrl = (url, pageNo) => {
+  const u = new URL(url);
+  u.searchParams.set('page', String(pageNo));
+  return u.href;
+};
+
+const SHOWING_RE = /showing\s+([\d,]+)\s*(?:-|–|to)\s*([\d,]+)\s+of\s+([\d,]+)/i;
+const RESULTS_FOUND_RE = /([\d,]+)\s+(?:jobs?|results?|vacanc(?:y|ies))\s+(?:found|available)/i;
+const PAGE_OF_RE = /\bpage\s+\d+\s+of\s+([\d,]+)/i;
+
+// The result count of a search page ("Showing 1 - 20 of 345 results", "345 jobs found",
+// "Page 1 of 18"): { totalResults, pageSize, totalPages }, null where the page does not say.
+// `cardsOnPage` stands in for the page size when the page only gives a total.
+const readPagination = ($, cardsOnPage = 0) => {
+  const text = cleanText($('main').text() || $('body').text());
+  const num = (s) => parseInt(String(s).replace(/,/g, ''), 10);
+  let totalResults = null;
+  let pageSize = null;
+  const showing = text.match(SHOWING_RE);
+  if (showing) {
+    totalResults = num(showing[3]);
+    pageSize = num(showing[2]) - num(showing[1]) + 1;
+  } else {
+    const found = text.match(RESULTS_FOUND_RE);
+    if (found) totalResults = num(found[1]);
+  }
+  if (!(pageSize > 0)) pageSize = cardsOnPage || null;
+  const pageOf = text.match(PAGE_OF_RE);
+  let totalPages = null;
+  if (pageOf) totalPages = num(pageOf[1]);
+  else if (totalResults !== null && pageSize) totalPages = Math.max(1, Math.ceil(totalResults / pageSize));
+  return { totalResults, pageSize, totalPages };
+};
+
+// Parse a listing card to seed fields
+const extractFromListingCard = ($, $card, defaultCurrency = DEFAULT_CURRENCY) => {
+  const res = { title: '', company: '', location: '', job_type: '', ...emptySalary(), category: '', date_posted: '' };
+  const $titleA = $card.find('a[href*="/listings/"]').first();
+  res.title = cleanText($titleA.text());
+
+  // Get all text nodes, split by newlines or multiple spaces, trim, and filter empties
+  const lines = String($card.text() ?? '').split(/\s{2,}|\n+/).map(cleanText).filter(Boolean);
+
+  // company
+  for (const line of lines) {
+    if (line === res.title) continue;
+    if (/^(New|Today|Yesterday)$/i.test(line)) continue;
+    if (/\b(Easy Apply|FEATURED)\b/i.test(line)) continue;
+    if (/\b(NGN|GHS|KES|UGX|TZS|ZAR|USD)\b\s*\d/i.test(line)) continue;
+    if (/\b(Full\s*Time|Part\s*Time|Contract|Temporary|Internship|Remote|Hybrid|Freelance|Volunteer)\b/i.test(line)) continue;
+    // First line that is not title, date, badge, salary, or job type is likely company
+    res.company = line; break; 
+  }
+
+  // meta: "LOCATION  JOB_TYPE  SALARY"
+  const meta = lines.find(l => /\b(Full\s*Time|Part\s*Time|Contract|Temporary|Internship|Remote|Hybrid|Freelance|Volunteer)\b/i.test(l));
+  if (meta) {
+    const jt = meta.match(/\b(Full\s*Time|Part\s*Time|Contract|Temporary|Internship|Remote|Hybrid|Freelance|Volunteer)\b/i);
+    if (jt) res.job_type = jt[1].replace(/\s+/g, ' ');
+    // Location is everything before the job type
+    const locPart = meta.split(jt ? jt[0] : '')[0];
+    if (locPart) res.location = cleanText(locPart);
+  }
+
+  // salary
+  const salLine = lines.find(l => SALARY_WITH_CURRENCY_RE.test(l)) || lines.find(l => detectSalaryFlag(l));
+  if (salLine) Object.assign(res, parseSalaryText(salLine, defaultCurrency));
+
+  res.date_posted = matchDatePosted(cleanText($card.text())) || lines.map((l) => matchDatePosted(l)).find(Boolean) || '';
+
+  // category — first leftover non-badge/meta/salary line
+  const catIdx = lines.findIndex(l =>
+    ![res.title, res.company].includes(l) &&
+    !/\b(New|Today|Yesterday|Easy Apply|FEATURED)\b/i.test(l) &&
+    !/\b(NGN|GHS|KES|UGX|TZS|ZAR|USD)\b\s*\d/i.test(l) &&
+    !detectSalaryFlag(l) &&
+    !/\b(Full\s*Time|Part\s*Time|Contract|Temporary|Internship|Remote|Hybrid|Freelance|Volunteer)\b/i.test(l)
+  );
+  if (catIdx > -1) res.category = lines[catIdx];
+
+  return res;
+};
+
+// Card seeds for every job link on a listing page, keyed by the job URL without query string
+const collectListingSeeds = ($, base, defaultCurrency = DEFAULT_CURRENCY) => {
+  const seedsByUrl = new Map();
+  $('a[href*="/listings/"]').each((_, a) => {
+    const href = $(a).attr('href');
+    const abs = href && toAbs(href, base);
+    if (!abs) return;
+    const u = abs.split('?')[0];
+    // Find the closest common ancestor card
+    const $card = $(a).closest('li, article, .search-result-item, .job-card, .job-item, .search-result, div[class*="job"], div[class*="listing"]');
+    const seed = extractFromListingCard($, $card, defaultCurrency);
+    if (!seed.title) return;
+    const place = normalizeLocation(seed.location, { jobType: seed.job_type, country: countryForUrl(base)?.name });
+    seedsByUrl.set(u, { ...seed, ...place, ...extractCompanyRef($, $card, base), ...extractApplication($, $card, base) });
+  });
+  return seedsByUrl;
+};
+
+// ------------------------- DETAIL EXTRACTION -------------------------
+const biggestTextBlockHeuristic = ($) => {
+  const candidates = [];
+  // Look in main containers
+  $('main, article').find('section, div, article').each((_, n) => {
+    const $n = $(n);
+    // Direct text content, ignoring children's text
+    const directText = ($n.contents().filter((i, el) => el.type === 'text').text() || '');
+    const txt = cleanText(directText);
+    
+    // Heuristic:
+    // - Must have significant direct text (e.g., > 400 chars)
+    // - Should not contain common list/card containers (lowers score)
+    // - Should not be a tiny wrapper (lowers score)
+    let score = txt.length;
+    if ($n.find('ul, ol, a[href*="/listings/"], .job-card').length > 0) score *= 0.1;
+    if ($n.children().length > 20) score *= 0.5; // Too many children, likely a wrapper
+    
+    if (score > 300) { // Lowered threshold for score
+        candidates.push({ $n, score, len: txt.length });
+    }
+  });
+  
+  // Also check all elements and find the one with the most text
+  $('body').find('*').each((_, n) => {
+     const $n = $(n);
+     const txt = cleanText($n.text() || '');
+     if (txt.length > 400 && $n.children().length < 10) { // Prefer nodes with fewer children
+         candidates.push({ $n, score: txt.length, len: txt.length });
+     }
+  });
+
+  candidates.sort((a, b) => b.score - a.score);
+  return candidates.length ? candidates[0].$n : null;
+};
+
+// `diagnostics`, when given, is filled with the matched selector per field, the description source
+// ('selector' | 'heading' | 'heuristic' | 'json_ld' | null) and whether JSON-LD was found
+const extractFromDetail = ({ request, $, country = countryForUrl(request.url) || COUNTRIES[DEFAULT_COUNTRY], now = new Date(), diagnostics = {} }) => {
+  const sel = buildSelectorMap();
+  let seed = request.userData?.seed || {};
+  let title = seed.title || '', company = seed.company || '', job_type = seed.job_type || '', location = seed.location || '', category = seed.category || '';
+  let description_html = '', description_text = '', date_posted = '', valid_through = null;
+  let salary = pickSalary(seed);
+
+  // direct selectors
+  const picks = {};
+  for (const field of Object.keys(sel)) picks[field] = pickFirstMatch($, sel[field]);
+  diagnostics.selectors = Object.fromEntries(Object.entries(picks).map(([field, p]) => [field, p.selector]));
+  const $title = picks.title.$el;
+  const $company = picks.company.$el;
+  const $jobType = picks.job_type.$el;
+  const $location = picks.location.$el;
+  const $salary = picks.salary.$el;
+  const $category = picks.category.$el;
+  let descriptionSource = null;
+
+  title = deEllipsize(getFullText($title)) || title;
+  company = deEllipsize(getFullText($company)) || company;
+  job_type = deEllipsize(getFullText($jobType)) || job_type;
+  location = deEllipsize(getFullText($location)) || location;
+  const salaryText = deEllipsize(getFullText($salary));
+  if (salaryText) {
+    const parsed = parseSalaryText(salaryText, country.currency);
+    // Unparseable text still beats an empty display string, but never replaces structured seed data
+    if (hasSalary(parsed) || !salary.salary_range) salary = parsed;
+  }
+  category = deEllipsize(getFullText($category)) || category;
+
+  // description
+  let $desc = picks.description.$el;
+  if ($desc && $desc.length) {
+    description_html = sanitizeDescription($, $desc.clone(), request.url);
+    description_text = cleanText($desc.text());
+    if (description_text) descriptionSource = 'selector';
+  }
+  // Fallback 1: Heading-based
+  if (!description_text || description_text.length < 100) {
+    const heading = $('h1:contains("Description"), h2:contains("Description"), h3:contains("Description"), h4:contains("Description")').first();
+    if (heading && heading.length) {
+      // Try to find the content block *after* the heading
+      let $cand = heading.nextAll('div, section').first();
+      if (!$cand.length) $cand = heading.parent(); // Fallback to parent
+      
+      if ($cand && $cand.length) {
+        const cand_html = sanitizeDescription($, $cand.clone(), request.url);
+        const cand_text = cleanText($cand.text());
+        if (cand_text.length > description_text.length) {
+            description_html = cand_html;
+            description_text = cand_text;
+            descriptionSource = 'heading';
+        }
+      }
+    }
+  }
+  // Fallback 2: Biggest text block
+  if (!description_text || description_text.length < 100) {
+    const $big = biggestTextBlockHeuristic($);
+    if ($big) {
+      const big_html = sanitizeDescription($, $big.clone(), request.url);
+      const big_text = cleanText($big.text());
+       if (big_text.length > description_text.length) {
+            description_html = big_html;
+            description_text = big_text;
+            descriptionSource = 'heuristic';
+        }
+    }
+  }
+
+  // The card's date beats a scan of the whole page
+  date_posted = extractDatePosted($) || seed.date_posted || matchDatePosted(cleanText($('body').text())) || '';
+  let requirements = extractSummaryRequirements($);
+  // The job header links the company; the card seed is the fallback
+  const $header = $('article, header, .job-details__header').first();
+  let companyRef = extractCompanyRef($, $header.length ? $header : $('body'), request.url);
+  companyRef = Object.fromEntries(Object.entries(companyRef).map(([k, v]) => [k, v || seed[k] || null]));
+  // The job itself, not the similar-jobs cards around it
+  const $job = [$('article').first(), $('main').first(), $('body')].find(($s) => $s.length);
+  const application = extractApplication($, $job, request.url, jobHeader($, $job));
+  for (const k of ['apply_type', 'apply_url', 'apply_email']) if (!application[k] && seed[k]) application[k] = seed[k];
+  // Listing cards show the Featured badge more reliably than the detail page
+  application.is_featured = application.is_featured || !!seed.is_featured;
+
+  // JSON-LD (This is the most reliable source, so it runs last and overwrites)
+  const jsonLd = parseJsonLdJob($);
+  const enriched = enrichFromJsonLd(jsonLd, { title, company, job_type, location, ...salary, category, description_html, description_text, date_posted, valid_through, ...requirements, ...companyRef }, request.url, country.currency);
+  ({ title, company, job_type, location, category, description_html, description_text, date_posted, valid_through } = enriched);
+  requirements = pickRequirements(enriched);
+  companyRef = { company_url: enriched.company_url, company_id: enriched.company_id, company_logo: enriched.company_logo };
+  salary = pickSalary(enriched);
+  if (jsonLd?.description) descriptionSource = 'json_ld';
+  // schema.org: directApply means the application happens on the site itself
+  const contact = [].concat(jsonLd?.applicationContact ?? [])[0];
+  if (!application.apply_email && contact?.email && IS_EMAIL_RE.test(String(contact.email).replace(/^mailto:/i, ''))) {
+    application.apply_email = String(contact.email).replace(/^mailto:/i, '').toLowerCase();
+  }
+  if (!application.apply_type) {
+    const contactUrl = contact?.url && unwrapRedirect(contact.url, request.url);
+    if (contactUrl && !countryForUrl(contactUrl)) Object.assign(application, { apply_type: 'external', apply_url: contactUrl });
+    else if (application.apply_email) application.apply_type = 'email';
+    else if (jsonLd?.directApply === true) application.apply_type = 'easy_apply';
+  }
+  diagnostics.description_source = descriptionSource;
+  diagnostics.json_ld = !!jsonLd;
+
+  // JSON-LD address parts only fill what the location text leaves open
+  const address = [].concat(jsonLd?.jobLocation ?? [])[0]?.address;
+  const place = normalizeLocation(location, {
+    hints: [address?.addressLocality, address?.addressRegion, address?.addressCountry],
+    jobLocationType: jsonLd?.jobLocationType,
+    jobType: job_type,
+    country: country.name,
+  });
+
+  // Sections and Markdown are derived from the final (sanitized) HTML, whichever source it came from
+  const sections = splitDescriptionSections(description_html);
+  const description_markdown = descriptionToMarkdown(description_html);
+
+  return { url: request.url, title, company, ...companyRef, job_type, location, ...place, ...salary, category, ...requirements, ...application, description_html, description_text,
+    description_markdown, ...sections, date_posted, date_posted_iso: normalizeDatePosted(date_posted, now), valid_through, _source: country.host, country: country.name };
+};
+
+// Every job field with its empty value: listing-only items and postings that could not be read start from it
+const emptyJobItem = (url, site) => ({
+  url, title: '', company: '', ...emptyCompanyRef(), job_type: '', location: '', ...emptyLocation(), ...emptySalary(), category: '',
+  ...emptyRequirements(), ...emptyApplication(), description_html: '', description_text: '', description_markdown: '', ...emptySections(),
+  date_posted: '', date_posted_iso: null, valid_through: null, _source: site.host, country: site.name,
+});
+
+// A detail page the HTTP response could not really be parsed from: client-rendered or behind a JS challenge
+const needsBrowserFallback = (item, diagnostics = {}, minDescriptionLength = 100) => !cleanText(item.title)
+  || cleanText(item.description_text).length < minDescriptionLength
+  || diagnostics.description_source === 'heuristic';
+
+export {
+  cleanText, deEllipsize, toAbs, safeJsonParse, getFullText, sanitizeDescription,
+  DEFAULT_CURRENCY, emptySalary, hasSalary, parseSalaryText, parseJsonLdSalary, pickSalary,
+  toIsoDate, normalizeDatePosted, isWithinPostedDate,
+  emptyCompanyRef, companyIdFromUrl, normalizeCompanyUrl, extractCompanyRef,
+  emptyApplication, unwrapRedirect, extractApplication,
+  emptyRequirements, normalizeExperienceLevel, normalizeEducationLevel, parseExperienceYears, parseSkills, extractSummaryRequirements,
+  readLabeledValues, buildSelectorMap, pickFirst, pickFirstMatch, matchDatePosted, extractDatePosted, parseJsonLdNode, parseJsonLdJob, enrichFromJsonLd,
+  collectJobLinks, findNextUrl, pageFromUrl, buildPageUrl, readPagination, extractFromListingCard, collectListingSeeds,
+  biggestTextBlockHeuristic, extractFromDetail, emptyJobItem, needsBrowserFallback,
+};
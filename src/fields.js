@@ -0,0 +1,119 @@
+// Output field definitions: the single source for `outputFields` validation, CSV/JSONL exports
+// and the dataset schema views (regenerate .actor/dataset_schema.json with `npm run schema`)
+
+// `overview: true` puts the field in the Overview table of the dataset
+const OUTPUT_FIELDS = [
+  { key: 'title', label: 'Job Title', format: 'text', overview: true },
+  { key: 'company', label: 'Company', format: 'text', overview: true },
+  { key: 'company_id', label: 'Company ID', format: 'text' },
+  { key: 'company_url', label: 'Company Page', format: 'link' },
+  { key: 'company_logo', label: 'Company Logo', format: 'image' },
+  { key: 'location', label: 'Location', format: 'text', overview: true },
+  { key: 'location_city', label: 'City', format: 'text' },
+  { key: 'location_state', label: 'State / Region', format: 'text' },
+  { key: 'location_country', label: 'Location Country', format: 'text' },
+  { key: 'work_mode', label: 'Work Mode', format: 'text' },
+  { key: 'salary_range', label: 'Salary', format: 'text', overview: true },
+  { key: 'salary_min', label: 'Salary Min', format: 'number' },
+  { key: 'salary_max', label: 'Salary Max', format: 'number' },
+  { key: 'salary_currency', label: 'Currency', format: 'text' },
+  { key: 'salary_period', label: 'Pay Period', format: 'text' },
+  { key: 'salary_flag', label: 'Salary Note', format: 'text' },
+  { key: 'job_type', label: 'Job Type', format: 'text', overview: true },
+  { key: 'category', label: 'Category', format: 'text' },
+  { key: 'experience_level', label: 'Experience Level', format: 'text' },
+  { key: 'experience_years_min', label: 'Min. Years of Experience', format: 'number' },
+  { key: 'education_level', label: 'Education', format: 'text' },
+  { key: 'skills', label: 'Skills', format: 'array' },
+  { key: 'date_posted', label: 'Posted', format: 'text', overview: true },
+  { key: 'date_posted_iso', label: 'Posted (ISO)', format: 'date' },
+  { key: 'valid_through', label: 'Valid Through', format: 'date' },
+  { key: 'apply_type', label: 'Apply Via', format: 'text' },
+  { key: 'apply_url', label: 'Apply URL', format: 'link' },
+  { key: 'apply_email', label: 'Apply Email', format: 'text' },
+  { key: 'is_featured', label: 'Featured', format: 'boolean' },
+  { key: 'description_text', label: 'Description', format: 'text' },
+  { key: 'description_html', label: 'Description (HTML)', format: 'text' },
+  { key: 'description_markdown', label: 'Description (Markdown)', format: 'text' },
+  { key: 'responsibilities', label: 'Responsibilities', format: 'array' },
+  { key: 'requirements', label: 'Requirements', format: 'array' },
+  { key: 'benefits', label: 'Benefits', format: 'array' },
+  { key: 'about_company', label: 'About the Company', format: 'text' },
+  { key: 'search_query', label: 'Search', format: 'text' },
+  { key: 'search_queries', label: 'Matching Searches', format: 'array' },
+  { key: 'search_page', label: 'Result Page', format: 'number' },
+  { key: 'search_rank', label: 'Result Rank', format: 'number' },
+  { key: 'change_type', label: 'Change', format: 'text' },
+  { key: 'first_seen', label: 'First Seen', format: 'date' },
+  { key: 'duplicate_of', label: 'Duplicate Of', format: 'link' },
+  { key: 'duplicate_group', label: 'Duplicate Group', format: 'text' },
+  { key: 'country', label: 'Country', format: 'text' },
+  { key: '_source', label: 'Source', format: 'text' },
+  { key: 'scraped_at', label: 'Scraped At', format: 'date' },
+  { key: 'status', label: 'Status', format: 'text' },
+  { key: 'checked_at', label: 'Checked At', format: 'date' },
+  { key: 'url', label: 'URL', format: 'link', overview: true },
+];
+
+const FIELD_KEYS = OUTPUT_FIELDS.map((f) => f.key);
+
+// `outputFields` entries: "field", "field:Column name" or { "field": "...", "name": "..." }; returns [{ key, name }] or null
+const parseOutputFields = (raw) => {
+  if (!Array.isArray(raw) || raw.length === 0) return null;
+  const spec = [];
+  const unknown = [];
+  for (const entry of raw) {
+    let key, name;
+    if (entry && typeof entry === 'object') {
+      key = String(entry.field ?? '').trim();
+      name = String(entry.name ?? '').trim();
+    } else {
+      const str = String(entry ?? '');
+      const idx = str.indexOf(':');
+      key = (idx === -1 ? str : str.slice(0, idx)).trim();
+      name = idx === -1 ? '' : str.slice(idx + 1).trim();
+    }
+    if (!key) continue;
+    if (!FIELD_KEYS.includes(key)) unknown.push(key);
+    else spec.push({ key, name: name || key });
+  }
+  if (unknown.length) {
+    throw new Error(`Unknown outputFields: ${unknown.join(', ')}. Valid fields are: ${FIELD_KEYS.join(', ')}.`);
+  }
+  return spec.length ? spec : null;
+};
+
+// Shape an item for output: pick, rename and order fields per `spec` (all fields when null)
+const projectItem = (item, spec, { includeDescriptionHtml = true } = {}) => {
+  if (!spec) {
+    if (includeDescriptionHtml) return item;
+    const { description_html: _omit, ...rest } = item;
+    return rest;
+  }
+  const out = {};
+  for (const { key, name } of spec) {
+    if (key === 'description_html' && !includeDescriptionHtml) continue;
+    out[name] = item[key] ?? null;
+  }
+  return out;
+};
+
+const buildView = (title, fields) => ({
+  title,
+  transformation: { fields: fields.map((f) => f.key) },
+  display: {
+    component: 'table',
+    properties: Object.fromEntries(fields.map((f) => [f.key, { label: f.label, format: f.format }])),
+  },
+});
+
+const buildDatasetSchema = () => ({
+  actorSpecification: 1,
+  fields: {},
+  views: {
+    overview: buildView('Overview', OUTPUT_FIELDS.filter((f) => f.overview)),
+    all: buildView('All fields', OUTPUT_FIELDS.filter((f) => f.key !== 'description_html')),
+  },
+});
+
+export { OUTPUT_FIELDS, FIELD_KEYS, parseOutputFields, projectItem, buildDatasetSchema };
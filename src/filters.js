@@ -0,0 +1,100 @@
+// Client-side filters applied to extracted items before they are saved
+// scraper.js builds one filter per run and asks it about every candidate item
+
+import { createLocationMatcher } from './locations.js';
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// "/pattern/flags" is a regular expression; anything else matches as a whole word or phrase, case-insensitively
+const compileMatcher = (raw, inputName) => {
+  const str = String(raw ?? '').trim();
+  if (!str) return null;
+  const m = str.match(/^\/(.+)\/([a-z]*)$/s);
+  try {
+    // Stateful flags would make repeated .test() calls skip matches
+    if (m) return new RegExp(m[1], `${m[2].replace(/[giy]/g, '')}i`);
+  } catch (err) {
+    throw new Error(`Invalid regular expression in ${inputName}: ${str} (${err.message})`);
+  }
+  return new RegExp(`(?<!\\w)${escapeRegExp(str)}(?!\\w)`, 'i');
+};
+
+const compileList = (raw, inputName) => (Array.isArray(raw) ? raw : [])
+  .map((r) => compileMatcher(r, inputName))
+  .filter(Boolean);
+
+const normalizeJobType = (s) => String(s ?? '').toLowerCase().replace(/[\s_-]+/g, '');
+
+const matchesAny = (matchers, ...texts) => matchers.some((re) => texts.some((t) => t && re.test(t)));
+
+// Rules see the item and `partial` (true for listing-card seeds, which lack descriptions and are
+// less reliable); allow-type rules only judge full items so a sparse card never hides a match.
+// Each rule returns false to drop the item, true or undefined to keep it.
+const createItemFilter = ({
+  includeKeywords, excludeKeywords, jobTypes, minSalary, excludeUndisclosedSalary = false,
+  companyAllowlist, companyBlocklist, categories,
+} = {}) => {
+  const include = compileList(includeKeywords, 'includeKeywords');
+  const exclude = compileList(excludeKeywords, 'excludeKeywords');
+  const allowCompanies = compileList(companyAllowlist, 'companyAllowlist');
+  const blockCompanies = compileList(companyBlocklist, 'companyBlocklist');
+  const allowCategories = compileList(categories, 'categories');
+  const allowTypes = new Set((Array.isArray(jobTypes) ? jobTypes : []).map(normalizeJobType).filter(Boolean));
+  const salaryFloor = Number.isFinite(+minSalary) && +minSalary > 0 ? +minSalary : null;
+
+  const rules = [];
+  if (include.length) {
+    rules.push(['include_keywords', (it, partial) => partial || matchesAny(include, it.title, it.description_text)]);
+  }
+  if (exclude.length) {
+    rules.push(['exclude_keywords', (it) => !matchesAny(exclude, it.title, it.description_text)]);
+  }
+  if (allowTypes.size) {
+    rules.push(['job_types', (it, partial) => partial || allowTypes.has(normalizeJobType(it.job_type))]);
+  }
+  if (salaryFloor !== null || excludeUndisclosedSalary) {
+    rules.push(['min_salary', (it, partial) => {
+      const top = it.salary_max ?? it.salary_min;
+      if (top === null || top === undefined) return partial || !excludeUndisclosedSalary;
+      return salaryFloor === null || top >= salaryFloor;
+    }]);
+  }
+  if (allowCompanies.length) {
+    rules.push(['company_allowlist', (it, partial) => partial || matchesAny(allowCompanies, it.company)]);
+  }
+  if (blockCompanies.length) {
+    rules.push(['company_blocklist', (it) => !matchesAny(blockCompanies, it.company)]);
+  }
+  if (allowCategories.length) {
+    rules.push(['categories', (it, partial) => partial || matchesAny(allowCategories, it.category)]);
+  }
+
+  // The location input belongs to a search, so it comes with each check; matchers are built on first use
+  const locationMatchers = new Map();
+  const matchesLocation = (it, location, country) => {
+    const key = `${country}|${location}`;
+    if (!locationMatchers.has(key)) locationMatchers.set(key, createLocationMatcher(location, { country }));
+    return locationMatchers.get(key)?.(it);
+  };
+
+  const dropped = {};
+  const reject = (name) => {
+    dropped[name] = (dropped[name] || 0) + 1;
+    return name;
+  };
+  return {
+    active: rules.length > 0,
+    // Name of the first rule that rejects the item, or null when it passes. `location` and
+    // `country` are the search's location input and site country.
+    check(item, { partial = false, location = '', country = null } = {}) {
+      for (const [name, keep] of rules) {
+        if (keep(item || {}, partial) === false) return reject(name);
+      }
+      if (location && matchesLocation(item || {}, location, country) === false) return reject('location');
+      return null;
+    },
+    dropped: () => ({ ...dropped }),
+  };
+};
+
+export { compileMatcher, createItemFilter };
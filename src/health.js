@@ -0,0 +1,99 @@
+// Per-run extraction health: field fill rates, selector hits, description fallbacks, JSON-LD and HTTP stats
+// scraper.js feeds it during the crawl and stores the report and history in key-value stores
+
+const HEALTH_FIELDS = ['title', 'company', 'location', 'job_type', 'salary_range', 'category', 'description_text', 'date_posted'];
+const HISTORY_SIZE = 20;
+// Fill rates from smaller runs are too noisy to judge against the norm
+const MIN_ITEMS_FOR_CHECK = 5;
+
+const isFilled = (v) => v !== null && v !== undefined && String(v).trim() !== '';
+
+const rate = (n, d) => (d ? Math.round((n / d) * 1000) / 1000 : null);
+
+const bump = (obj, key) => { obj[key] = (obj[key] || 0) + 1; };
+
+const createHealthTracker = () => {
+  const filled = Object.fromEntries(HEALTH_FIELDS.map((f) => [f, 0]));
+  const selectorHits = {};
+  const descriptionSources = {};
+  const httpStatus = {};
+  const blockReasons = {};
+  const blocksBySession = {};
+  let items = 0, detailPages = 0, jsonLdPages = 0, listPages = 0, emptyListPages = 0, failedRequests = 0;
+
+  return {
+    recordItem(item) {
+      items++;
+      for (const f of HEALTH_FIELDS) if (isFilled(item?.[f])) filled[f]++;
+    },
+    // `diagnostics` as filled by extractFromDetail
+    recordDetail(diagnostics = {}) {
+      detailPages++;
+      if (diagnostics.json_ld) jsonLdPages++;
+      bump(descriptionSources, diagnostics.description_source || 'none');
+      for (const [field, selector] of Object.entries(diagnostics.selectors || {})) {
+        selectorHits[field] ??= {};
+        bump(selectorHits[field], selector || '(none)');
+      }
+    },
+    recordListPage(linkCount) {
+      listPages++;
+      if (!linkCount) emptyListPages++;
+    },
+    recordStatus(code) {
+      bump(httpStatus, code ?? 'unknown');
+    },
+    recordFailure() {
+      failedRequests++;
+    },
+    // A block, challenge or consent page, by reason and by the session that got it
+    recordBlock(sessionId, reason) {
+      bump(blockReasons, reason);
+      bump(blocksBySession, sessionId ?? 'none');
+    },
+    report() {
+      return {
+        generated_at: new Date().toISOString(),
+        items,
+        fill_rates: Object.fromEntries(HEALTH_FIELDS.map((f) => [f, rate(filled[f], items)])),
+        detail_pages: detailPages,
+        json_ld_rate: rate(jsonLdPages, detailPages),
+        selector_hits: selectorHits,
+        description_sources: descriptionSources,
+        description_heuristic_rate: rate(descriptionSources.heuristic || 0, detailPages),
+        list_pages: listPages,
+        list_pages_without_links: emptyListPages,
+        http_status: httpStatus,
+        failed_requests: failedRequests,
+        blocks: {
+          total: Object.values(blockReasons).reduce((sum, n) => sum + n, 0),
+          by_reason: blockReasons,
+          by_session: blocksBySession,
+        },
+      };
+    },
+  };
+};
+
+// Fields whose fill rate dropped below `minRatio` times their average over previous healthy runs
+const findHealthIssues = (report, history = [], minRatio = 0.5) => {
+  if (report.items < MIN_ITEMS_FOR_CHECK || !history.length) return [];
+  const issues = [];
+  for (const [field, current] of Object.entries(report.fill_rates)) {
+    const past = history.map((h) => h.fill_rates?.[field]).filter(Number.isFinite);
+    if (current === null || !past.length) continue;
+    const norm = past.reduce((a, b) => a + b, 0) / past.length;
+    if (norm > 0 && current < norm * minRatio) {
+      issues.push({ field, fill_rate: current, historical_fill_rate: Math.round(norm * 1000) / 1000 });
+    }
+  }
+  return issues;
+};
+
+// Only healthy, large-enough runs feed the norms, so a broken run cannot drag them down
+const appendHealthHistory = (history = [], report) => {
+  if (report.items < MIN_ITEMS_FOR_CHECK) return history;
+  return [...history, { generated_at: report.generated_at, items: report.items, fill_rates: report.fill_rates }].slice(-HISTORY_SIZE);
+};
+
+export { HEALTH_FIELDS, MIN_ITEMS_FOR_CHECK, createHealthTracker, findHealthIssues, appendHealthHistory };
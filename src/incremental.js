@@ -0,0 +1,62 @@
+// Incremental mode: which listed jobs are new, changed or unchanged since earlier runs, and which are gone
+// scraper.js keeps one tracker per run and stores `seen` in the incremental key-value store
+
+import { createHash } from 'node:crypto';
+import { cleanText } from './extractors.js';
+
+// Card-level fingerprint: computed before any detail fetch so unchanged jobs can be skipped outright
+const hashJobSeed = (seed = {}) => createHash('sha1')
+  .update(['title', 'company', 'location', 'job_type', 'salary_range', 'category'].map((k) => cleanText(seed[k]).toLowerCase()).join('|'))
+  .digest('hex');
+
+// Tracks jobs across runs: `seen` maps listing URL -> { first_seen, last_seen, hash, title, company, queries }
+// `now` and `touched` are only passed when resuming a run that was interrupted
+const createIncrementalTracker = (seen = {}, now = new Date().toISOString(), touched = new Set()) => {
+  return {
+    seen,
+    now,
+    touched,
+    // Every job on a results page is still live, whether or not this search ends up saving it
+    listed(url) {
+      if (seen[url]) seen[url].last_seen = now;
+      touched.add(url);
+    },
+    // Returns 'new', 'changed' or 'unchanged'; unchanged jobs are marked as seen right away
+    classify(url, seed, query) {
+      const entry = seen[url];
+      if (!entry) return 'new';
+      if (entry.hash !== hashJobSeed(seed)) return 'changed';
+      entry.last_seen = now;
+      if (!entry.queries.includes(query)) entry.queries.push(query);
+      touched.add(url);
+      return 'unchanged';
+    },
+    // Called once a new or changed job has been pushed
+    record(url, seed, query) {
+      const prev = seen[url];
+      seen[url] = {
+        first_seen: prev?.first_seen || now,
+        last_seen: now,
+        hash: hashJobSeed(seed),
+        title: cleanText(seed?.title) || prev?.title || '',
+        company: cleanText(seed?.company) || prev?.company || '',
+        queries: [...new Set([...(prev?.queries || []), query])],
+      };
+      touched.add(url);
+      return seen[url];
+    },
+    // Jobs from fully paginated searches that did not show up this run; they are forgotten once returned
+    takeExpired(exhaustedQueries) {
+      const out = [];
+      for (const [url, entry] of Object.entries(seen)) {
+        if (touched.has(url)) continue;
+        if (!entry.queries.some((q) => exhaustedQueries.has(q))) continue;
+        out.push({ url, ...entry });
+        delete seen[url];
+      }
+      return out;
+    },
+  };
+};
+
+export { hashJobSeed, createIncrementalTracker };
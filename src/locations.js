@@ -0,0 +1,239 @@
+// Location normalization: city / state / country and work mode from free-text job locations
+// An offline gazetteer of Nigerian states and Ghanaian regions; extractors.js normalizes every item, filters.js matches the location input
+
+// State (or region) -> its cities and well-known districts. The first entry is the state capital.
+const GAZETTEER = {
+  Nigeria: {
+    Abia: ['Umuahia', 'Aba', 'Ohafia', 'Arochukwu'],
+    Adamawa: ['Yola', 'Mubi', 'Jimeta', 'Numan'],
+    'Akwa Ibom': ['Uyo', 'Eket', 'Ikot Ekpene', 'Oron'],
+    Anambra: ['Awka', 'Onitsha', 'Nnewi', 'Ekwulobia'],
+    Bauchi: ['Bauchi', 'Azare', 'Misau'],
+    Bayelsa: ['Yenagoa', 'Brass', 'Ogbia'],
+    Benue: ['Makurdi', 'Gboko', 'Otukpo', 'Katsina-Ala'],
+    Borno: ['Maiduguri', 'Biu', 'Bama'],
+    'Cross River': ['Calabar', 'Ikom', 'Ogoja', 'Obudu'],
+    Delta: ['Asaba', 'Warri', 'Sapele', 'Ughelli', 'Agbor', 'Effurun'],
+    Ebonyi: ['Abakaliki', 'Afikpo'],
+    Edo: ['Benin City', 'Auchi', 'Ekpoma', 'Uromi'],
+    Ekiti: ['Ado Ekiti', 'Ikere Ekiti', 'Ikole'],
+    Enugu: ['Enugu', 'Nsukka', 'Agbani'],
+    FCT: ['Abuja', 'Garki', 'Wuse', 'Maitama', 'Asokoro', 'Gwarinpa', 'Jabi', 'Utako', 'Kubwa', 'Lugbe', 'Gwagwalada', 'Kuje', 'Bwari', 'Central Business District'],
+    Gombe: ['Gombe', 'Kaltungo'],
+    Imo: ['Owerri', 'Orlu', 'Okigwe'],
+    Jigawa: ['Dutse', 'Hadejia', 'Kazaure'],
+    Kaduna: ['Kaduna', 'Zaria', 'Kafanchan'],
+    Kano: ['Kano', 'Wudil'],
+    Katsina: ['Katsina', 'Funtua', 'Daura'],
+    Kebbi: ['Birnin Kebbi', 'Argungu', 'Yauri'],
+    Kogi: ['Lokoja', 'Okene', 'Anyigba', 'Idah'],
+    Kwara: ['Ilorin', 'Offa', 'Omu Aran'],
+    Lagos: [
+      'Lagos', 'Ikeja', 'Lekki', 'Victoria Island', 'Ikoyi', 'Yaba', 'Surulere', 'Apapa', 'Ajah', 'Ikorodu', 'Epe',
+      'Badagry', 'Festac', 'Maryland', 'Ogba', 'Oshodi', 'Agege', 'Alimosho', 'Ojo', 'Isolo', 'Gbagada', 'Magodo',
+      'Ojota', 'Ketu', 'Mushin', 'Oregun', 'Amuwo Odofin', 'Ebute Metta', 'Lagos Island', 'Ilupeju', 'Ogudu', 'Sangotedo',
+    ],
+    Nasarawa: ['Lafia', 'Keffi', 'Karu', 'Akwanga'],
+    Niger: ['Minna', 'Suleja', 'Bida', 'Kontagora'],
+    Ogun: ['Abeokuta', 'Ijebu Ode', 'Sagamu', 'Ota', 'Sango Ota', 'Ifo', 'Mowe', 'Ibafo', 'Ilaro'],
+    Ondo: ['Akure', 'Ondo', 'Owo', 'Ikare'],
+    Osun: ['Osogbo', 'Ile Ife', 'Ilesa', 'Ede', 'Iwo'],
+    Oyo: ['Ibadan', 'Ogbomoso', 'Oyo', 'Iseyin', 'Saki'],
+    Plateau: ['Jos', 'Bukuru', 'Pankshin'],
+    Rivers: ['Port Harcourt', 'Bonny', 'Eleme', 'Obio Akpor', 'Onne', 'Trans Amadi'],
+    Sokoto: ['Sokoto', 'Tambuwal'],
+    Taraba: ['Jalingo', 'Wukari'],
+    Yobe: ['Damaturu', 'Potiskum', 'Gashua'],
+    Zamfara: ['Gusau', 'Kaura Namoda'],
+  },
+  Ghana: {
+    'Greater Accra': ['Accra', 'Tema', 'Madina', 'Osu', 'East Legon', 'Airport City', 'Spintex', 'Cantonments', 'Dansoman', 'Adenta', 'Teshie', 'Ashaiman'],
+    Ashanti: ['Kumasi', 'Obuasi', 'Ejisu', 'Konongo', 'Mampong'],
+    Western: ['Sekondi Takoradi', 'Takoradi', 'Sekondi', 'Tarkwa', 'Axim'],
+    'Western North': ['Sefwi Wiawso', 'Bibiani'],
+    Central: ['Cape Coast', 'Kasoa', 'Winneba', 'Elmina', 'Mankessim'],
+    Eastern: ['Koforidua', 'Nkawkaw', 'Akosombo', 'Nsawam', 'Akim Oda'],
+    Volta: ['Ho', 'Hohoe', 'Keta', 'Aflao'],
+    Oti: ['Dambai', 'Nkwanta'],
+    Northern: ['Tamale', 'Yendi'],
+    Savannah: ['Damongo', 'Bole'],
+    'North East': ['Nalerigu', 'Walewale'],
+    'Upper East': ['Bolgatanga', 'Navrongo', 'Bawku'],
+    'Upper West': ['Wa', 'Lawra'],
+    Bono: ['Sunyani', 'Berekum', 'Dormaa Ahenkro'],
+    'Bono East': ['Techiman', 'Kintampo'],
+    Ahafo: ['Goaso', 'Bechem'],
+  },
+};
+
+// Other spellings of states and cities, by normalized key
+const ALIASES = {
+  'federal capital territory': { state: 'FCT', country: 'Nigeria' },
+  // Abuja stands for the whole territory
+  abuja: { state: 'FCT', city: 'Abuja', country: 'Nigeria', isState: true },
+  'abuja fct': { state: 'FCT', city: 'Abuja', country: 'Nigeria', isState: true },
+  ph: { state: 'Rivers', city: 'Port Harcourt', country: 'Nigeria' },
+  phc: { state: 'Rivers', city: 'Port Harcourt', country: 'Nigeria' },
+  vi: { state: 'Lagos', city: 'Victoria Island', country: 'Nigeria' },
+  benin: { state: 'Edo', city: 'Benin City', country: 'Nigeria' },
+  ife: { state: 'Osun', city: 'Ile Ife', country: 'Nigeria' },
+  oshogbo: { state: 'Osun', city: 'Osogbo', country: 'Nigeria' },
+};
+
+const COUNTRY_NAMES = {
+  nigeria: 'Nigeria', ng: 'Nigeria', ghana: 'Ghana', gh: 'Ghana',
+  kenya: 'Kenya', ke: 'Kenya', uganda: 'Uganda', ug: 'Uganda', tanzania: 'Tanzania', tz: 'Tanzania',
+};
+
+const WORK_MODES = ['onsite', 'remote', 'hybrid'];
+const HYBRID_RE = /\bhybrid\b/i;
+const REMOTE_RE = /\b(remote(ly)?|work(ing)? from home|wfh|telecommut\w*|home[\s-]based)\b/i;
+// Words that describe the work mode, not the place
+const MODE_WORDS_RE = /\b(fully |partially |100% )?(remote(ly)?|hybrid|on[\s-]?site|in[\s-]office|work(ing)? from home|wfh|telecommut\w*|home[\s-]based|job|role|work)\b/gi;
+const MAX_PHRASE_WORDS = 3;
+
+const normalizeKey = (s) => String(s ?? '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+// Normalized name -> places it can mean ({ state, city?, country })
+const PLACES = new Map();
+const addPlace = (key, place) => {
+  if (!PLACES.has(key)) PLACES.set(key, []);
+  PLACES.get(key).push(place);
+};
+for (const [country, states] of Object.entries(GAZETTEER)) {
+  for (const [state, cities] of Object.entries(states)) {
+    addPlace(normalizeKey(state), { state, country });
+    for (const city of cities) addPlace(normalizeKey(city), { state, city, country });
+  }
+}
+for (const [key, place] of Object.entries(ALIASES)) addPlace(key, place);
+
+// One place for a key in the site's own country, or in a country the text names (`named`); a name that
+// is both a state and a city ("Lagos", "Kano") resolves to the city, with `isState` set
+const lookup = (key, country, named = []) => {
+  const found = PLACES.get(key);
+  if (!found) return null;
+  const local = found.filter((p) => p.country === country);
+  // "Central Area, Abuja" is not Ghana's Central region
+  const pool = local.length ? local : found.filter((p) => !country || named.includes(p.country));
+  if (!pool.length) return null;
+  const city = pool.find((p) => p.city);
+  return city ? { ...city, isState: pool.some((p) => !p.city || p.isState) } : pool[0];
+};
+
+// Places named in one comma/dash separated part, longest phrases first ("Ikeja Lagos", "Port Harcourt")
+const placesInPart = (part, country, named) => {
+  const stateOnly = /\s(state|region)$/.test(part);
+  const words = part.replace(/\s(state|region)$/, '').split(' ').filter(Boolean);
+  const found = [];
+  for (let i = 0; i < words.length;) {
+    let hit = null;
+    for (let n = Math.min(MAX_PHRASE_WORDS, words.length - i); n > 0 && !hit; n--) {
+      const key = words.slice(i, i + n).join(' ');
+      // Two-letter names ("Wa", "Ho", "PH") only count as a whole part
+      if (key.length <= 2 && words.length > 1) continue;
+      if (COUNTRY_NAMES[key]) hit = { n, place: { country: COUNTRY_NAMES[key], isCountry: true } };
+      else if (lookup(key, country, named)) hit = { n, place: lookup(key, country, named) };
+    }
+    if (hit) {
+      const { place } = hit;
+      // "Lagos State", "Ashanti Region": the state, not its namesake city
+      found.push(stateOnly && place.city && place.isState ? { state: place.state, country: place.country } : place);
+      i += hit.n;
+    } else {
+      i++;
+    }
+  }
+  return found;
+};
+
+const detectWorkMode = (texts, jobLocationType) => {
+  const all = texts.filter(Boolean).join(' ');
+  if (HYBRID_RE.test(all)) return 'hybrid';
+  const types = [].concat(jobLocationType ?? []).map((t) => String(t).toUpperCase());
+  if (types.includes('TELECOMMUTE') || REMOTE_RE.test(all)) return 'remote';
+  return null;
+};
+
+const emptyLocation = () => ({ location_city: null, location_state: null, location_country: null, work_mode: null });
+
+// `hints` are extra place texts (JSON-LD locality/region/country) that only fill gaps left by the
+// location text; `jobType` may carry "Remote"/"Hybrid"; `country` is the site's country, used to
+// prefer local places and as the fallback country. Cities outside the gazetteer's countries are
+// taken as written.
+const normalizeLocation = (text, { hints = [], jobLocationType = null, jobType = '', country = null } = {}) => {
+  const raw = String(text ?? '').replace(/\s+/g, ' ').trim();
+  const extra = hints.map((h) => (h && typeof h === 'object' ? h.name : h)).filter((h) => typeof h === 'string' && h.trim());
+  const out = emptyLocation();
+  const mode = detectWorkMode([raw, jobType], jobLocationType);
+
+  const parts = [raw, ...extra]
+    .flatMap((t) => t.replace(MODE_WORDS_RE, ' ').split(/[,;|/()]|\s[-–]\s/))
+    .map(normalizeKey)
+    .filter(Boolean);
+  // Countries named anywhere in the text; two-letter codes only count as a whole part
+  const named = parts.flatMap((p) => (p.includes(' ') ? p.split(' ').filter((w) => w.length > 2) : [p])).map((w) => COUNTRY_NAMES[w]).filter(Boolean);
+  const found = parts.flatMap((p) => placesInPart(p, country, named));
+  // A place in the site's country, even in a later part, wins over places abroad
+  const hasLocal = found.some((p) => !p.isCountry && p.country === country);
+  const places = hasLocal ? found.filter((p) => p.country === country) : found;
+
+  for (const place of places) {
+    if (place.isCountry) {
+      out.location_country ??= place.country;
+      continue;
+    }
+    // A later, more specific part may refine a state ("Lagos, Ikeja") but never contradict it
+    if (out.location_state && place.state !== out.location_state) continue;
+    out.location_state ??= place.state;
+    if (place.city && (!out.location_city || (out.location_city === place.state && !place.isState))) out.location_city = place.city;
+    out.location_country ??= place.country;
+  }
+  if (!out.location_state && !out.location_city && country && !GAZETTEER[country]) {
+    const [first] = raw.replace(MODE_WORDS_RE, ' ').split(/[,;|/()]|\s[-–]\s/).map((s) => s.replace(/\s+/g, ' ').trim()).filter(Boolean);
+    if (first && !COUNTRY_NAMES[normalizeKey(first)]) out.location_city = first;
+  }
+  if (raw || out.location_state) out.location_country ??= country;
+  out.work_mode = mode || (raw || out.location_state || out.location_city ? 'onsite' : null);
+  return out;
+};
+
+// Matcher for the `location` input: a state ("Lagos", "Abuja", "Ashanti") matches every job in that
+// state, a city ("Ikeja") the jobs in that city, a country its jobs and "Remote" remote jobs; anything
+// else falls back to a whole-word match on the location text. Returns false to drop the item and
+// undefined when the item says too little to judge.
+const createLocationMatcher = (query, { country = null } = {}) => {
+  const str = String(query ?? '').trim();
+  if (!str) return null;
+  const escaped = str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const wholeWord = new RegExp(`(?<!\\w)${escaped}(?!\\w)`, 'i');
+  const wanted = normalizeLocation(str, { country });
+  const key = normalizeKey(str.replace(/\s(state|region)$/i, ''));
+  const named = lookup(key, country);
+  const isStateQuery = !!named && (!named.city || named.isState);
+  const remoteOnly = wanted.work_mode === 'remote' && !wanted.location_state && !wanted.location_city;
+
+  return (item = {}) => {
+    if (item.location && wholeWord.test(item.location)) return true;
+    if (remoteOnly) return item.work_mode ? item.work_mode === 'remote' : undefined;
+    if (wanted.location_state) {
+      if (!item.location_state) return item.location_city ? false : undefined;
+      if (item.location_state !== wanted.location_state) return false;
+      if (isStateQuery || !wanted.location_city) return true;
+      // A bare "Lagos" may well be Ikeja
+      return item.location_city && item.location_city !== item.location_state ? item.location_city === wanted.location_city : undefined;
+    }
+    if (wanted.location_country && !wanted.location_city && COUNTRY_NAMES[key]) {
+      return item.location_country ? item.location_country === wanted.location_country : undefined;
+    }
+    if (!item.location) return undefined;
+    return wanted.location_city ? item.location_city === wanted.location_city : false;
+  };
+};
+
+export { GAZETTEER, WORK_MODES, emptyLocation, normalizeLocation, createLocationMatcher };
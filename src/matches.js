@@ -0,0 +1,46 @@
+// Cross-search matches: a job listed by several searches is scraped once and credited to every query
+// Plain Maps the crawl state persists; scraper.js asks it about every listed job
+
+const SEARCH_MATCHES_KEY = 'SEARCH_MATCHES';
+
+// `queries` maps listing URL -> Set of queries of every search that returned it, the taking search first.
+// `pushed` maps listing URL -> number of queries known when its item was pushed.
+const createSearchMatches = ({ queries = new Map(), pushed = new Map() } = {}) => ({
+  queries,
+  pushed,
+  // A job taken earlier is only credited to `query` too; false if no search has taken it yet
+  credit(url, query) {
+    const known = queries.get(url);
+    if (!known) return false;
+    known.add(query);
+    return true;
+  },
+  take(url, query) {
+    if (!queries.has(url)) queries.set(url, new Set([query]));
+  },
+  // The taking search dropped the job: it passes to the next query that matched it, or back to whichever
+  // search lists it next when there is none. Returns the queries left.
+  release(url, query) {
+    const known = queries.get(url);
+    if (!known) return [];
+    known.delete(query);
+    if (!known.size) queries.delete(url);
+    return [...known];
+  },
+  // Every query that matched the job so far, or `fallback` before any search took it
+  queriesFor: (url, fallback) => [...(queries.get(url) || [fallback])],
+  markPushed(url, count) {
+    pushed.set(url, count);
+  },
+  // Items are pushed once: URL -> full query list of every job credited to more queries after its push
+  lateMatches() {
+    const late = {};
+    for (const [url, count] of pushed) {
+      const all = [...(queries.get(url) || [])];
+      if (all.length > count) late[url] = all;
+    }
+    return late;
+  },
+});
+
+export { SEARCH_MATCHES_KEY, createSearchMatches };
@@ -0,0 +1,93 @@
+// Offline re-parse: runs the current extractors over archived page snapshots, without a single network request
+// Reads pages from the snapshot archive it is given (scraper.js for the `reparse` input, and the tests)
+
+import { load as cheerioLoad } from 'cheerio';
+import { countryForUrl } from './sites.js';
+import {
+  cleanText, normalizeDatePosted, isWithinPostedDate, collectJobLinks, collectListingSeeds, extractFromDetail, emptyJobItem,
+} from './extractors.js';
+import { detectClosedPosting, postingOutcome } from './status.js';
+
+// The job on a DETAIL snapshot, decided the way the crawl decides it: closed and unreadable postings
+// only come out for job URLs given directly. Returns { item } or { skipped: reason }.
+const detailItem = ($, entry, site, now) => {
+  const request = { url: entry.url, loadedUrl: entry.loaded_url, userData: { seed: entry.seed || {} } };
+  const item = extractFromDetail({ request, $, country: site, now });
+  const closedBy = detectClosedPosting({ statusCode: entry.status_code, url: entry.url, loadedUrl: entry.loaded_url, $, validThrough: item.valid_through, now });
+  const { status, blank, skipped } = postingOutcome({ closedBy, hasTitle: Boolean(cleanText(item.title)), direct: entry.direct });
+  if (skipped) return { skipped };
+  if (blank) return { item: { ...emptyJobItem(entry.url, site), status }, final: true };
+  item.status = status;
+  return { item };
+};
+
+// Every job card on a LIST snapshot, as listing-only items
+const listItems = ($, entry, site, now) => {
+  const links = collectJobLinks($, entry.url);
+  const seeds = collectListingSeeds($, entry.url, site.currency);
+  return links.map((u, i) => {
+    const seed = seeds.get(u) || {};
+    return {
+      ...emptyJobItem(u, site),
+      search_page: entry.page_no ?? null,
+      search_rank: entry.page_no ? (entry.rank_offset ?? 0) + i + 1 : null,
+      ...seed,
+      date_posted_iso: normalizeDatePosted(seed.date_posted, now),
+      status: 'open',
+    };
+  });
+};
+
+// Yields one item per archived job: from the DETAIL snapshots, or with `collectDetails: false` from the
+// job cards on the LIST snapshots. Only the latest snapshot of a page is used, and every item is dated
+// to it. `itemFilter` and the posted_date of the search that fetched the page apply as in the crawl.
+async function* reparseSnapshots(archive, { collectDetails = true, country, itemFilter = null, log = null }) {
+  const label = collectDetails ? 'DETAIL' : 'LIST';
+  const counts = { pages: 0, missing: 0, closed: 0, unreadable: 0, posted_date: 0, filtered: 0, items: 0 };
+  const seen = new Set();
+  for (const entry of archive.latest()) {
+    if (entry.label !== label) continue;
+    const html = await archive.read(entry);
+    if (html === null) {
+      counts.missing++;
+      log?.warning(`Snapshot ${entry.key} of ${entry.url} is missing from the store, skipping.`);
+      continue;
+    }
+    counts.pages++;
+    const $ = cheerioLoad(html);
+    const site = countryForUrl(entry.url) || country;
+    const now = new Date(entry.fetched_at);
+    const found = collectDetails ? [detailItem($, entry, site, now)] : listItems($, entry, site, now).map((item) => ({ item }));
+
+    for (const { item, skipped, final } of found) {
+      if (skipped) {
+        counts[skipped]++;
+        continue;
+      }
+      if (seen.has(item.url)) continue;
+      if (!final && !isWithinPostedDate(item.date_posted_iso, entry.posted_date ?? null, now)) {
+        counts.posted_date++;
+        continue;
+      }
+      if (!final && itemFilter?.check(item, { location: entry.search_location, country: site.name })) {
+        counts.filtered++;
+        continue;
+      }
+      seen.add(item.url);
+      const queries = entry.search_queries?.length ? entry.search_queries : [entry.search_query].filter(Boolean);
+      item.search_query = queries[0] ?? null;
+      item.search_queries = queries;
+      if (collectDetails) {
+        item.search_page = entry.search_page ?? null;
+        item.search_rank = entry.search_rank ?? null;
+      }
+      item.scraped_at = entry.fetched_at;
+      item.checked_at = entry.fetched_at;
+      counts.items++;
+      yield item;
+    }
+  }
+  log?.info(`Re-parsed ${counts.pages} ${label} snapshot(s) into ${counts.items} job(s).`, counts);
+}
+
+export { reparseSnapshots };
@@ -0,0 +1,1185 @@
+// Jobberman.com jobs scraper engine (CheerioCrawler): scrapeJobberman(options) yields job items
+// Platform-independent: only needs Crawlee, so the Actor (main.js), the CLI (cli.js) and other Node code share it
+// Stacks: Crawlee, HTTP (got-scraping via Crawlee), Playwright for the optional browser fallback
+
+import {
+  CheerioCrawler, Configuration, Dataset, EventType, KeyValueStore, PlaywrightCrawler, ProxyConfiguration, RequestQueue, log,
+} from 'crawlee';
+import { createHash } from 'node:crypto';
+import { COUNTRIES, resolveCountry, countryForUrl, resolveFacets, buildStartUrl } from './sites.js';
+import {
+  cleanText, normalizeDatePosted, isWithinPostedDate,
+  collectJobLinks, collectListingSeeds, findNextUrl, pageFromUrl, buildPageUrl, readPagination, extractFromDetail, emptyJobItem, needsBrowserFallback,
+} from './extractors.js';
+import { createHealthTracker, findHealthIssues, appendHealthHistory } from './health.js';
+import { parseOutputFields, projectItem } from './fields.js';
+import { createItemFilter } from './filters.js';
+import { crawlStateKey, encodeState, decodeState, searchesFingerprint } from './state.js';
+import { extractCompanyProfile } from './companies.js';
+import { createWebhookSink } from './webhook.js';
+import { createDuplicateDetector } from './duplicates.js';
+import { createIncrementalTracker } from './incremental.js';
+import { SEARCH_MATCHES_KEY, createSearchMatches } from './matches.js';
+import { detectBlock, createRateController } from './blocking.js';
+import { detectClosedPosting, postingOutcome } from './status.js';
+import { createMarketAnalytics, renderMarketReportHtml } from './analytics.js';
+import { createSnapshotArchive, loadSnapshotArchive } from './snapshots.js';
+import { reparseSnapshots } from './reparse.js';
+
+// ------------------------- CONSTANTS -------------------------
+const DEFAULT_RESULTS_WANTED = 50;
+const DEFAULT_MAX_PAGES = 10;
+const DEFAULT_INCREMENTAL_STORE = 'jobberman-incremental';
+const INCREMENTAL_STATE_KEY = 'SEEN_JOBS';
+const DEFAULT_HEALTH_STORE = 'jobberman-health';
+const DEFAULT_COMPANIES_DATASET = 'jobberman-companies';
+const DEFAULT_HEALTH_THRESHOLD = 50; // percent of the historical fill rate
+const MARKET_REPORT_KEY = 'MARKET_REPORT';
+const DEFAULT_SNAPSHOT_STORE = 'jobberman-snapshots';
+const MAX_RESULTS_CAP = 500;
+const MAX_PAGES_CAP = 100;
+// Ceilings; the rate controller lowers them while the site is blocking
+const MAX_CONCURRENCY = 20;
+const MAX_REQUESTS_PER_MINUTE = 120;
+const DUPLICATE_MODES = ['off', 'tag', 'drop'];
+const DEFAULT_BROWSER_FALLBACKS = 20;
+const DEFAULT_MIN_DESCRIPTION_LENGTH = 100;
+// Browsers are heavy: a few pages at a time is plenty for the pages that need one
+const BROWSER_CONCURRENCY = 2;
+
+const USER_AGENTS = [
+  'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36',
+  'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36',
+  'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:115.0) Gecko/20100101 Firefox/115.0',
+];
+
+const normalizeCookieHeader = ({ cookies, cookiesJson }) => {
+  if (cookies && typeof cookies === 'string' && cookies.trim()) return cookies.trim();
+  if (cookiesJson && typeof cookiesJson === 'string') {
+    try {
+      const parsed = JSON.parse(cookiesJson);
+      if (Array.isArray(parsed)) return parsed.map(c => `${c.name}=${c.value}`).join('; ');
+      if (typeof parsed === 'object') return Object.entries(parsed).map(([k,v]) => `${k}=${v}`).join('; ');
+    } catch (e) {
+      log.warning(`Could not parse cookiesJson: ${e.message}`);
+    }
+  }
+  return '';
+};
+
+// ------------------------- SEARCHES -------------------------
+// Human-readable label of a keyword/location search, tagged on every item as `search_query`
+const formatSearchQuery = (kw, loc, date, facetParams = {}) => {
+  const k = cleanText(kw), l = cleanText(loc);
+  let q = k && l ? `${k} in ${l}` : (k || (l ? `jobs in ${l}` : 'all jobs'));
+  if (date && String(date).toLowerCase() !== 'anytime') q += ` (${date})`;
+  const facets = Object.values(facetParams);
+  if (facets.length) q += ` [${facets.join(', ')}]`;
+  return q;
+};
+
+// ------------------------- ITEM CHANNEL -------------------------
+// Hands items from the request handlers to the iterator's consumer. `push` resolves once the consumer has
+// processed the item and asked for the next one, so saving stays in step with the crawl's book-keeping.
+const createItemChannel = () => {
+  const queue = [];
+  let wake = null;
+  let closed = false;
+  let failure = null;
+  let abandoned = false;
+  const notify = () => {
+    wake?.();
+    wake = null;
+  };
+  return {
+    push: (item) => new Promise((ack) => {
+      // Nobody is listening any more: handlers still running must not wait for an answer
+      if (abandoned) {
+        ack();
+        return;
+      }
+      queue.push({ item, ack });
+      notify();
+    }),
+    close(err) {
+      closed = true;
+      failure = err || null;
+      notify();
+    },
+    async *drain() {
+      try {
+        for (;;) {
+          if (queue.length) {
+            const { item, ack } = queue.shift();
+            // Also when the consumer stops at this item: its handler is waiting for the answer
+            try {
+              yield item;
+            } finally {
+              ack();
+            }
+            continue;
+          }
+          if (failure) throw failure;
+          if (closed) return;
+          await new Promise((resolve) => { wake = resolve; });
+        }
+      } finally {
+        // The consumer stopped early: release the handlers still waiting
+        abandoned = true;
+        queue.splice(0).forEach(({ ack }) => ack());
+      }
+    },
+  };
+};
+
+// ------------------------- MAIN -------------------------
+// Takes the same options as .actor/input_schema.json, plus `proxyUrls` (a plain proxy URL list).
+// `runtime` lets the host plug in what only it knows:
+// - proxyConfiguration: a ready Crawlee/Apify ProxyConfiguration (overrides `proxyUrls`)
+// - requestQueue: the queue to crawl with; the Actor passes its default queue so a migrated run resumes.
+//   Without it a fresh queue is opened and dropped at the end, so repeated calls never share requests.
+// - onStatus(message): progress messages
+// - browserCrawlerClass: the crawler class of the browser fallback, PlaywrightCrawler by default
+// Invalid options and a failed health check (with failOnHealthIssues) throw an Error.
+async function* scrapeJobberman(options = {}, runtime = {}) {
+    const onStatus = async (message) => { await runtime.onStatus?.(message); };
+    const {
+      keyword, // Use prefilled default from input schema
+      location: locationFilter, // Use prefilled default
+      posted_date = 'anytime', // Safe default
+      results_wanted: RESULTS_WANTED_RAW,
+      max_pages: MAX_PAGES_RAW,
+      collectDetails = true,
+      collectCompanies = false,
+      companiesDatasetName = DEFAULT_COMPANIES_DATASET,
+      startUrl,
+      startUrls,
+      jobUrls,
+      searches: searchesInput,
+      country: countryRaw,
+      industry,
+      jobFunction,
+      experienceLevel,
+      workType,
+      employmentType,
+      incremental = false,
+      incrementalStoreName = DEFAULT_INCREMENTAL_STORE,
+      emitExpired = false,
+      healthThreshold = DEFAULT_HEALTH_THRESHOLD,
+      failOnHealthIssues = false,
+      healthStoreName = DEFAULT_HEALTH_STORE,
+      outputFields,
+      includeKeywords,
+      excludeKeywords,
+      jobTypes,
+      minSalary,
+      excludeUndisclosedSalary = false,
+      companyAllowlist,
+      companyBlocklist,
+      categories,
+      includeDescriptionHtml = true,
+      cookies,
+      cookiesJson,
+      proxyConfiguration,
+      proxyUrls,
+      webhookUrl,
+      webhookAuthHeader,
+      webhookBatchSize,
+      webhookFlushInterval,
+      webhookMaxRetries,
+      duplicateMode = 'off',
+      duplicateThreshold,
+      browserFallback = false,
+      maxBrowserFallbacks: MAX_BROWSER_FALLBACKS_RAW,
+      minDescriptionLength = DEFAULT_MIN_DESCRIPTION_LENGTH,
+      strictLocation = false,
+      marketReport = false,
+      saveSnapshots = false,
+      snapshotStoreName = DEFAULT_SNAPSHOT_STORE,
+      reparse = false,
+    } = options;
+
+    const sanitizeInt = (raw, fallback, cap) => {
+      if (Number.isFinite(+raw)) return Math.max(1, Math.min(cap, Math.floor(+raw)));
+      return fallback;
+    };
+
+    const RESULTS_WANTED = sanitizeInt(RESULTS_WANTED_RAW, DEFAULT_RESULTS_WANTED, MAX_RESULTS_CAP);
+    const MAX_PAGES = sanitizeInt(MAX_PAGES_RAW, DEFAULT_MAX_PAGES, MAX_PAGES_CAP);
+    const MAX_BROWSER_FALLBACKS = sanitizeInt(MAX_BROWSER_FALLBACKS_RAW, DEFAULT_BROWSER_FALLBACKS, MAX_RESULTS_CAP);
+
+    const country = resolveCountry(countryRaw);
+    if (!country) {
+      throw new Error(`Unknown country "${countryRaw}". Supported values: ${Object.keys(COUNTRIES).join(', ')}.`);
+    }
+
+    const facetInput = { industry, jobFunction, experienceLevel, workType, employmentType };
+    const facetParams = resolveFacets(facetInput);
+    const fieldSpec = parseOutputFields(outputFields);
+    const itemFilter = createItemFilter({
+      includeKeywords, excludeKeywords, jobTypes, minSalary, excludeUndisclosedSalary,
+      companyAllowlist, companyBlocklist, categories,
+    });
+    if (!DUPLICATE_MODES.includes(duplicateMode)) {
+      throw new Error(`Unknown duplicateMode "${duplicateMode}". Supported values: ${DUPLICATE_MODES.join(', ')}.`);
+    }
+    if (webhookUrl && !/^https?:\/\/[^\s/]+/i.test(String(webhookUrl).trim())) {
+      throw new Error(`webhookUrl must be an http(s) URL, received "${webhookUrl}".`);
+    }
+
+    // Validate a user-provided start URL; its domain decides the country of that search
+    const validateStartUrl = (raw, label = 'start URL') => {
+      let parsed;
+      try {
+        parsed = new URL(raw);
+      } catch (err) {
+        throw new Error(`Provided ${label} "${raw}" is not a valid URL: ${err.message}`);
+      }
+      const urlCountry = countryForUrl(parsed.href);
+      if (!urlCountry) {
+        throw new Error(`Provided ${label} must point to a Jobberman site (${Object.values(COUNTRIES).map(c => c.host).join(', ')}), received host "${parsed.hostname.toLowerCase()}".`);
+      }
+      return { url: parsed.href, country: urlCountry };
+    };
+
+    // Every start URL and every keyword/location combination becomes one search with its own budget
+    const searches = [];
+    const addSearch = (url, searchCountry, query, resultsWanted, postedDate = null, location = '', extra = {}) => {
+      if (searches.some((s) => s.url === url)) {
+        log.warning(`Skipping duplicate search "${query}": ${url}`);
+        return;
+      }
+      // The location always goes to the site's search; checking every job against it as well is opt-in
+      searches.push({ id: searches.length, url, country: searchCountry, query, resultsWanted, postedDate, location: strictLocation ? cleanText(location) : '', scraped: 0, enqueued: 0, exhausted: false,
+        pageSize: null, totalPages: null, lastPage: 1, pagesDone: 0, finalPage: null, cutShort: false, ...extra });
+    };
+
+    const rawStartUrls = [startUrl, ...(Array.isArray(startUrls) ? startUrls : [])]
+      .map((u) => (u && typeof u === 'object' ? u.url : u))
+      .map((u) => (typeof u === 'string' ? u.trim() : ''))
+      .filter(Boolean);
+    for (const raw of rawStartUrls) {
+      const { url, country: urlCountry } = validateStartUrl(raw);
+      addSearch(url, urlCountry, url, RESULTS_WANTED);
+    }
+
+    const searchInputs = Array.isArray(searchesInput) ? searchesInput : [];
+    for (const [i, s] of searchInputs.entries()) {
+      if (!s || typeof s !== 'object') {
+        throw new Error(`searches[${i}] must be an object like {"keyword": "...", "location": "..."}.`);
+      }
+      const searchCountry = s.country ? resolveCountry(s.country) : country;
+      if (!searchCountry) {
+        throw new Error(`searches[${i}] has unknown country "${s.country}". Supported values: ${Object.keys(COUNTRIES).join(', ')}.`);
+      }
+      const searchPostedDate = s.posted_date ?? posted_date;
+      let searchFacets = {};
+      try {
+        searchFacets = resolveFacets(s, facetInput);
+      } catch (err) {
+        throw new Error(`searches[${i}]: ${err.message}`);
+      }
+      addSearch(
+        buildStartUrl(s.keyword, s.location, searchPostedDate, searchCountry, searchFacets),
+        searchCountry,
+        formatSearchQuery(s.keyword, s.location, searchPostedDate, searchFacets),
+        sanitizeInt(s.results_wanted, RESULTS_WANTED, MAX_RESULTS_CAP),
+        searchPostedDate,
+        s.location,
+      );
+    }
+
+    // Job URLs skip the search pages and go straight to their detail pages, as one search whose
+    // budget is the URLs themselves; closed and unreadable postings are saved too, with their status
+    const directUrls = [...new Set((Array.isArray(jobUrls) ? jobUrls : [])
+      .map((u) => (u && typeof u === 'object' ? u.url : u))
+      .map((u) => (typeof u === 'string' ? u.trim() : ''))
+      .filter(Boolean)
+      .map((raw) => {
+        const { url } = validateStartUrl(raw, 'job URL');
+        if (!/\/listings\//.test(new URL(url).pathname)) throw new Error(`jobUrls must be job postings (.../listings/...), received "${raw}".`);
+        return url.split('#')[0];
+      }))];
+    if (directUrls.length) {
+      addSearch(`jobUrls:${createHash('sha1').update(directUrls.join('\n')).digest('hex').slice(0, 12)}`, country, 'jobUrls', directUrls.length, null, '', { direct: true, jobUrls: directUrls, enqueued: directUrls.length });
+    }
+
+    // Fallback to the single keyword/location search if no other searches were provided
+    if (searches.length === 0) {
+      addSearch(
+        buildStartUrl(keyword, locationFilter, posted_date, country, facetParams),
+        country,
+        formatSearchQuery(keyword, locationFilter, posted_date, facetParams),
+        RESULTS_WANTED,
+        posted_date,
+        locationFilter,
+      );
+    }
+    const TOTAL_WANTED = searches.reduce((sum, s) => sum + s.resultsWanted, 0);
+
+    // Plain proxy URLs, from `proxyUrls` or the input schema's proxyConfiguration.proxyUrls; no proxy otherwise
+    let proxyConf = runtime.proxyConfiguration;
+    if (!proxyConf) {
+      const urls = [...(Array.isArray(proxyUrls) ? proxyUrls : []), ...(Array.isArray(proxyConfiguration?.proxyUrls) ? proxyConfiguration.proxyUrls : [])]
+        .map((u) => String(u ?? '').trim())
+        .filter(Boolean);
+      if (urls.length) proxyConf = new ProxyConfiguration({ proxyUrls: urls });
+    }
+
+    // Offline mode: the archived pages stand in for the site, nothing is fetched
+    if (reparse) {
+      const archive = await loadSnapshotArchive(await KeyValueStore.open(snapshotStoreName));
+      if (!archive.pages()) {
+        throw new Error(`reparse found no snapshots in store "${snapshotStoreName}"; crawl with saveSnapshots first.`);
+      }
+      log.info(`Re-parsing the ${collectDetails ? 'DETAIL' : 'LIST'} snapshots among ${archive.pages()} archived page(s) in store "${snapshotStoreName}", without network requests.`);
+      await onStatus(`Re-parsing snapshots from "${snapshotStoreName}"`);
+      let reparsed = 0;
+      for await (const item of reparseSnapshots(archive, { collectDetails, country, itemFilter, log })) {
+        reparsed++;
+        yield projectItem(item, fieldSpec, { includeDescriptionHtml });
+      }
+      await onStatus(`Finished - re-parsed ${reparsed} jobs.`);
+      return;
+    }
+
+    // Log the sanitized/final input parameters for QA
+    log.info('Scraper starting with parameters:', {
+        searches: searches.length,
+        country: country.name,
+        keyword,
+        locationFilter,
+        posted_date,
+        RESULTS_WANTED,
+        TOTAL_WANTED,
+        MAX_PAGES,
+        collectDetails,
+        incremental,
+        hasProxy: !!proxyConf,
+    });
+    await onStatus(`Running ${searches.length} search(es) (target: ${TOTAL_WANTED} jobs, ${collectDetails ? 'detail' : 'listing'} mode)`);
+
+  // ---- RESUME ----
+  // A migrated or restarted run keeps its request queue, so its progress has to come back too
+  const ownQueue = !runtime.requestQueue;
+  const requestQueue = runtime.requestQueue || await RequestQueue.open(`jobberman-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`);
+  const stateKey = crawlStateKey(requestQueue.id);
+  const fingerprint = searchesFingerprint(searches);
+  const defaultStore = await KeyValueStore.open();
+  const savedState = decodeState(await defaultStore.getValue(stateKey));
+  const resumed = savedState?.fingerprint === fingerprint ? savedState : null;
+  if (savedState && !resumed) log.warning('Ignoring the saved crawl state: it was written for different searches.');
+  if (resumed) {
+    resumed.searches.forEach((progress, i) => Object.assign(searches[i], progress));
+    log.info(`Resuming an interrupted run: ${resumed.jobsScraped} jobs were already saved.`);
+  }
+
+  let jobsScraped = resumed?.jobsScraped ?? 0;
+  const scrapedUrls = resumed?.scrapedUrls ?? new Set();
+  // A URL is taken by the first search that lists it; later searches are only credited
+  const matches = createSearchMatches({ queries: resumed?.queriesByUrl, pushed: resumed?.pushedQueryCounts });
+  // Job URLs given directly are taken already: searches that list them too only add their query
+  for (const s of searches.filter((x) => x.direct)) {
+    for (const u of s.jobUrls) matches.take(u, s.query);
+  }
+
+  let incrementalStore = null;
+  let tracker = null;
+  if (incremental) {
+    incrementalStore = await KeyValueStore.open(incrementalStoreName);
+    tracker = resumed?.incremental
+      ? createIncrementalTracker(resumed.incremental.seen, resumed.incremental.now, resumed.incremental.touched)
+      : createIncrementalTracker((await incrementalStore.getValue(INCREMENTAL_STATE_KEY)) || {});
+    log.info(`Incremental mode: ${Object.keys(tracker.seen).length} previously seen jobs loaded from store "${incrementalStoreName}".`);
+  }
+  // Listing URL -> 'new' | 'changed', for items emitted in incremental mode
+  const changeTypes = resumed?.changeTypes ?? new Map();
+  let unchangedSkipped = resumed?.unchangedSkipped ?? 0;
+  const health = createHealthTracker();
+  // Every item goes out through here so outputFields and includeDescriptionHtml apply everywhere
+  const channel = createItemChannel();
+  const project = (it) => projectItem(it, fieldSpec, { includeDescriptionHtml });
+  // Items go to the webhook as they are saved; it batches and sends them without holding up the crawl
+  const webhook = webhookUrl ? createWebhookSink({
+    url: String(webhookUrl).trim(),
+    authHeader: webhookAuthHeader,
+    batchSize: webhookBatchSize,
+    flushIntervalSecs: webhookFlushInterval,
+    maxRetries: webhookMaxRetries,
+    store: defaultStore,
+    log,
+  }) : null;
+  // Aggregates over the open jobs saved, for the end-of-run market report
+  const analytics = marketReport ? createMarketAnalytics({ state: resumed?.analytics }) : null;
+  const pushItems = async (items) => {
+    for (const it of [].concat(items)) {
+      if (it.status === 'open') analytics?.add(it);
+      const out = project(it);
+      webhook?.add(out);
+      await channel.push(out);
+    }
+  };
+  let postedDateDropped = resumed?.postedDateDropped ?? 0;
+  // Reposts of a job already saved this run, by content rather than URL
+  const duplicates = duplicateMode === 'off' ? null
+    : createDuplicateDetector({ threshold: duplicateThreshold == null ? undefined : duplicateThreshold / 100, entries: resumed?.duplicates ?? [] });
+  let duplicatesDropped = resumed?.duplicatesDropped ?? 0;
+  // Detail URL -> request, for pages waiting for (or being rendered by) the browser fallback
+  const browserPending = resumed?.browserPending ?? new Map();
+  let browserFallbacks = resumed?.browserFallbacks ?? 0;
+
+  // A detail page that gets dropped frees its budget slot; pagination paused on the budget resumes to refill it
+  const releaseSlot = async (search, enqueueLinks) => {
+    search.enqueued--;
+    const next = search.pendingNext;
+    if (!next || search.enqueued >= search.resultsWanted) return;
+    search.pendingNext = null;
+    search.lastPage = Math.max(search.lastPage, next.pageNo);
+    log.info(`Resuming pagination of "${search.query}" at page ${next.pageNo} to replace dropped jobs.`);
+    await enqueueLinks({ urls: [next.url], userData: { label: 'LIST', pageNo: next.pageNo, searchId: search.id }, forefront: true });
+  };
+
+  // URL of the search's page `pageNo`, when that page is known to exist. With a result count any page
+  // can be built; without one, only the current page's own "next" link is trusted.
+  const pageUrlFor = (search, pageNo, $, currentUrl, currentPageNo) => {
+    if (pageNo > MAX_PAGES) return null;
+    if (search.totalPages) return pageNo <= search.totalPages ? buildPageUrl(search.url, pageFromUrl(search.url) + pageNo - 1) : null;
+    return pageNo === currentPageNo + 1 ? findNextUrl($, currentUrl) : null;
+  };
+  // Pages of one search run in parallel: it is paginated to the end once its last page and every page before it are
+  // done, and only counts as exhausted if no page stopped on the budget with listed jobs left unseen
+  const reachedEnd = (search, pageNo) => {
+    search.finalPage = pageNo;
+    search.exhausted = !search.cutShort && search.pagesDone >= search.finalPage;
+  };
+
+  // Company pages are visited once per run, whichever search or job links them
+  const companiesDataset = collectCompanies ? await Dataset.open(companiesDatasetName) : null;
+  const enqueuedCompanies = resumed?.enqueuedCompanies ?? new Set();
+  let companiesSaved = resumed?.companiesSaved ?? 0;
+  const enqueueCompanies = async (items, enqueueLinks) => {
+    if (!companiesDataset) return;
+    const urls = [...new Set(items.map((it) => it.company_url).filter((u) => u && !enqueuedCompanies.has(u)))];
+    if (!urls.length) return;
+    urls.forEach((u) => enqueuedCompanies.add(u));
+    await enqueueLinks({ urls, userData: { label: 'COMPANY' } });
+  };
+
+  // Raw pages for a later `reparse`, saved as fetched; a failed write never fails the page
+  const snapshots = saveSnapshots ? createSnapshotArchive({ store: await KeyValueStore.open(snapshotStoreName) }) : null;
+  const archivePage = async ({ request, html, statusCode, search, meta }) => {
+    if (!snapshots) return;
+    try {
+      await snapshots.save({
+        url: request.url,
+        html,
+        label: request.userData.label,
+        meta: {
+          status_code: statusCode ?? null, loaded_url: request.loadedUrl ?? null, search_query: search.query,
+          search_location: search.location || null, posted_date: search.postedDate ?? null, direct: !!search.direct, ...meta,
+        },
+      });
+    } catch (e) {
+      log.warning(`Could not save the snapshot of ${request.url}: ${e.message}`);
+    }
+  };
+  const persistSnapshots = () => snapshots?.persist();
+
+  const persistCrawlState = () => defaultStore.setValue(stateKey, encodeState({
+    fingerprint,
+    searches: searches.map(({ scraped, enqueued, exhausted, pendingNext, pageSize, totalPages, lastPage, pagesDone, finalPage, cutShort }) => ({
+      scraped, enqueued, exhausted, pendingNext: pendingNext ?? null, pageSize, totalPages, lastPage, pagesDone, finalPage, cutShort,
+    })),
+    jobsScraped,
+    scrapedUrls,
+    queriesByUrl: matches.queries,
+    pushedQueryCounts: matches.pushed,
+    changeTypes,
+    unchangedSkipped,
+    postedDateDropped,
+    duplicates: duplicates?.entries() ?? null,
+    duplicatesDropped,
+    browserPending,
+    browserFallbacks,
+    enqueuedCompanies,
+    companiesSaved,
+    analytics: analytics?.state() ?? null,
+    incremental: tracker ? { seen: tracker.seen, now: tracker.now, touched: tracker.touched } : null,
+  }));
+  const events = Configuration.getEventManager();
+  events.on(EventType.PERSIST_STATE, persistCrawlState);
+  events.on(EventType.MIGRATING, persistCrawlState);
+  events.on(EventType.PERSIST_STATE, persistSnapshots);
+  events.on(EventType.MIGRATING, persistSnapshots);
+  // Buffered webhook items would be lost with the old process; jobs are counted as saved already
+  const flushWebhook = () => webhook?.flush();
+  events.on(EventType.MIGRATING, flushWebhook);
+
+  const withChangeInfo = (item, u) => {
+    if (!tracker) return item;
+    return { ...item, change_type: changeTypes.get(u) || 'new', first_seen: tracker.seen[u]?.first_seen || new Date().toISOString() };
+  };
+
+  // Counts the job before pushing it, so a resumed run can never push it a second time
+  const saveDetailItem = async ({ item, request, search, now = new Date() }) => {
+    item.scraped_at = now.toISOString();
+    item.checked_at = item.scraped_at;
+    const queries = matches.queriesFor(request.url, search.query);
+    item.search_query = queries[0];
+    item.search_queries = queries;
+    item.search_page = request.userData.search_page ?? null;
+    item.search_rank = request.userData.search_rank ?? null;
+
+    const output = withChangeInfo(item, request.url);
+    // Job URLs given directly have no listing card to compare later runs against
+    if (!search.direct) tracker?.record(request.url, request.userData.seed, search.query);
+    search.scraped++;
+    jobsScraped++;
+    scrapedUrls.add(request.url);
+    matches.markPushed(request.url, queries.length);
+    await pushItems(output);
+    if (item.status !== 'open') {
+        log.info(`Saved ${item.status} posting: ${request.url} (Search total: ${search.scraped}/${search.resultsWanted})`);
+        return;
+    }
+    health.recordItem(item);
+    log.info(`Saved: ${item.title} (Search total: ${search.scraped}/${search.resultsWanted}, overall: ${jobsScraped}/${TOTAL_WANTED})`);
+  };
+
+  // A job URL given directly whose page could not be fetched at all
+  const saveUncheckedPosting = async (request, search) => {
+    if (scrapedUrls.has(request.url)) return;
+    const site = countryForUrl(request.url) || country;
+    await saveDetailItem({ item: { ...emptyJobItem(request.url, site), status: 'unknown' }, request, search });
+  };
+
+  // Shared by the HTTP crawler and the browser fallback, which hands in the rendered DOM
+  const handleDetail = async ({ request, $, html, statusCode, enqueueLinks, search, site, viaBrowser = false }) => {
+    // Deterministic stop condition
+    if (search.scraped >= search.resultsWanted) {
+        log.info(`Skipping detail page, 'results_wanted' limit (${search.resultsWanted}) for "${search.query}" already met.`);
+        return;
+    }
+    if (scrapedUrls.has(request.url)) {
+        log.warning(`Skipping duplicate detail URL: ${request.url}`);
+        return;
+    }
+
+    await archivePage({ request, html, statusCode, search, meta: {
+      seed: request.userData.seed || {}, search_queries: matches.queriesFor(request.url, search.query),
+      search_page: request.userData.search_page ?? null, search_rank: request.userData.search_rank ?? null, rendered: viaBrowser,
+    } });
+
+    const now = new Date();
+    const diagnostics = {};
+    const item = extractFromDetail({ request, $, country: site, now, diagnostics });
+    health.recordDetail(diagnostics);
+
+    // Removed postings: a job URL given directly is still reported, a search result is just dropped
+    const closedBy = detectClosedPosting({ statusCode, url: request.url, loadedUrl: request.loadedUrl, $, validThrough: item.valid_through, now });
+    const outcome = postingOutcome({ closedBy, hasTitle: Boolean(cleanText(item.title)), direct: search.direct });
+    if (outcome.removed) {
+        if (outcome.blank) {
+            log.info(`Posting closed (${closedBy}): ${request.url}`);
+            await saveDetailItem({ item: { ...emptyJobItem(request.url, site), status: outcome.status }, request, search, now });
+        } else {
+            log.info(`Skipping closed posting (${closedBy}): ${request.url}`);
+            await releaseSlot(search, enqueueLinks);
+        }
+        return;
+    }
+
+    // Pages rendered client-side or behind a JS challenge get a second chance in a browser. The HTTP
+    // parse goes along: it is what gets saved if the browser cannot render the page.
+    if (browserCrawler && !browserFailed && !viaBrowser && needsBrowserFallback(item, diagnostics, minDescriptionLength)) {
+        if (browserFallbacks < MAX_BROWSER_FALLBACKS) {
+            browserFallbacks++;
+            browserPending.set(request.url, { url: request.url, uniqueKey: request.uniqueKey, userData: { ...request.userData, httpParse: { item, closedBy } } });
+            log.info(`Re-routing to the browser fallback (${browserFallbacks}/${MAX_BROWSER_FALLBACKS}): ${request.url}`);
+            return;
+        }
+        if (browserFallbacks++ === MAX_BROWSER_FALLBACKS) log.warning(`Browser fallback cap (${MAX_BROWSER_FALLBACKS}) reached, later pages are parsed from the HTTP response only.`);
+    }
+    await saveParsedDetail({ item, closedBy, request, search, site, enqueueLinks, now, lastChance: viaBrowser });
+  };
+
+  // A job only its own search's posted_date or location dropped, or whose page could not be fetched, goes
+  // to the next search that listed it: from the parsed page when there is one, else fetched again
+  const passOn = async ({ request, search, enqueueLinks, parsed = null }) => {
+    if (search.direct) return;
+    const remaining = matches.release(request.url, search.query);
+    const next = searches.find((s) => !s.direct && remaining.includes(s.query) && s.scraped < s.resultsWanted && s.enqueued < s.resultsWanted);
+    if (!next) return;
+    next.enqueued++;
+    const userData = { ...request.userData, searchId: next.id, search_page: null, search_rank: null };
+    log.info(`Passing ${request.url} on to "${next.query}", which listed it too.`);
+    if (parsed) {
+      await saveParsedDetail({ ...parsed, item: { ...parsed.item }, request: { url: request.url, loadedUrl: request.loadedUrl, userData }, search: next, enqueueLinks });
+      return;
+    }
+    await requestQueue.addRequests([{ url: request.url, uniqueKey: `${request.url}#search-${next.id}`, userData }], { forefront: true });
+  };
+
+  // Validation, filters and saving of a parsed detail page. `lastChance` is false while a page without
+  // a title could still be re-rendered by the browser fallback.
+  const saveParsedDetail = async ({ item, closedBy, request, search, site = countryForUrl(request.url) || country, enqueueLinks, now = new Date(), lastChance = true }) => {
+    // Validate essential field
+    const { status, blank, skipped } = postingOutcome({ closedBy, hasTitle: Boolean(cleanText(item.title)), direct: search.direct });
+    if (blank) {
+        log.warning(`Could not read the posting, status ${status}: ${request.url}`);
+        await saveDetailItem({ item: { ...emptyJobItem(request.url, site), status }, request, search, now });
+        return;
+    }
+    if (skipped) {
+        log.warning(`Skipping detail page with no title: ${request.url}`);
+        if (lastChance) await releaseSlot(search, enqueueLinks);
+        return;
+    }
+    if (!isWithinPostedDate(item.date_posted_iso, search.postedDate, now)) {
+        log.info(`Skipping job posted ${item.date_posted_iso}, outside posted_date "${search.postedDate}": ${request.url}`);
+        postedDateDropped++;
+        await releaseSlot(search, enqueueLinks);
+        await passOn({ request, search, enqueueLinks, parsed: { item, closedBy, site, now } });
+        return;
+    }
+    const rejectedBy = itemFilter.check(item, { location: search.location, country: site.name });
+    if (rejectedBy) {
+        log.info(`Filtered out by ${rejectedBy}: ${item.title} (${request.url})`);
+        await releaseSlot(search, enqueueLinks);
+        // The other rules are the same for every search
+        if (rejectedBy === 'location') await passOn({ request, search, enqueueLinks, parsed: { item, closedBy, site, now } });
+        return;
+    }
+    if (duplicates) {
+        const dup = duplicates.register({ ...item, url: request.url });
+        if (dup.duplicate_of && duplicateMode === 'drop') {
+            log.info(`Skipping duplicate of ${dup.duplicate_of}: ${item.title} (${request.url})`);
+            duplicatesDropped++;
+            await releaseSlot(search, enqueueLinks);
+            return;
+        }
+        Object.assign(item, dup);
+    }
+    item.status = status;
+    await saveDetailItem({ item, request, search, now });
+    await enqueueCompanies([item], enqueueLinks);
+  };
+
+  // Blocks slow the crawl down, a healthy streak speeds it back up
+  const rate = createRateController({ maxConcurrency: MAX_CONCURRENCY, maxRequestsPerMinute: MAX_REQUESTS_PER_MINUTE });
+  const applyLimits = (limits) => {
+    const pool = crawler.autoscaledPool;
+    if (!limits || !pool) return;
+    pool.maxConcurrency = limits.concurrency;
+    pool.desiredConcurrency = Math.min(pool.desiredConcurrency, limits.concurrency);
+    log.info(`Crawl pace set to ${limits.concurrency} parallel requests, ${limits.rpm} requests/minute.`);
+  };
+
+  const crawler = new CheerioCrawler({
+    requestQueue,
+    proxyConfiguration: proxyConf,
+    maxRequestsPerMinute: MAX_REQUESTS_PER_MINUTE,
+    requestHandlerTimeoutSecs: 45,
+    navigationTimeoutSecs: 45,
+    maxConcurrency: MAX_CONCURRENCY,
+    useSessionPool: true,
+    persistCookiesPerSession: true,
+    // Block statuses reach the requestHandler, which retires the session and adapts the pace itself
+    sessionPoolOptions: { maxPoolSize: 50, blockedStatusCodes: [], sessionOptions: { maxUsageCount: 50, maxErrorScore: 3 } },
+    ignoreHttpErrorStatusCodes: [503],
+    maxRequestRetries: 5, // Use standard retries
+    // Max requests per crawl as a safety rail, respecting limits
+    maxRequestsPerCrawl: Math.max(TOTAL_WANTED * ((collectDetails ? 3 : 1) + (collectCompanies ? 1 : 0)), MAX_PAGES * searches.length, 1000),
+
+    preNavigationHooks: [async ({ request }) => {
+      await rate.wait();
+      // Keep stealth headers intact
+      request.headers = {
+        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8',
+        'Accept-Language': 'en-US,en;q=0.9',
+        'Accept-Encoding': 'gzip, deflate, br',
+        'Upgrade-Insecure-Requests': '1',
+        'Sec-Fetch-Dest': 'document',
+        'Sec-Fetch-Mode': 'navigate',
+        'Sec-Fetch-Site': request.userData?.label === 'LIST' ? 'none' : 'same-origin',
+        'Sec-Fetch-User': '?1',
+        'Cache-Control': 'no-cache',
+        'User-Agent': USER_AGENTS[Math.floor(Math.random() * USER_AGENTS.length)],
+        'Referer': request.userData?.label === 'LIST' ? undefined : new URL('/jobs', (countryForUrl(request.url) || country).baseUrl).href,
+      };
+      // Safely normalize and add cookies
+      const cookieHeader = normalizeCookieHeader({ cookies, cookiesJson });
+      if (cookieHeader) request.headers.Cookie = cookieHeader;
+    }],
+
+    postNavigationHooks: [({ response }) => {
+      health.recordStatus(response?.statusCode);
+    }],
+
+    async requestHandler({ request, $, body, enqueueLinks, response, session }) {
+      // Thrown outside the try below, so Crawlee retries the request with another session
+      const blockReason = detectBlock({ statusCode: response?.statusCode, $ });
+      if (blockReason) {
+        health.recordBlock(session?.id, blockReason);
+        session?.retire();
+        applyLimits(rate.onBlock());
+        throw new Error(`Blocked (${blockReason}), retrying with a new session`);
+      }
+      applyLimits(rate.onSuccess());
+
+      // Robust error handling inside the handler
+      try {
+        if (!$ || typeof $.html !== 'function') {
+            log.warning(`Skipping request, Cheerio object not available (HTTP ${response.statusCode}): ${request.url}`);
+            request.retry('cheerio-not-loaded'); // Ask for a retry
+            return;
+        }
+
+        const { label = 'LIST', pageNo = 1, searchId = 0 } = request.userData;
+        const site = countryForUrl(request.url) || country;
+        const search = searches[searchId] || searches[0];
+
+        if (label === 'LIST') {
+          log.info(`Processing LIST page ${pageNo} of "${search.query}": ${request.url}`);
+          // collect links & per-card seeds
+          const links = collectJobLinks($, request.url);
+          health.recordListPage(links.length);
+          if (links.length === 0) {
+              log.warning(`No job links found on LIST page: ${request.url}`);
+          }
+          
+          const seedsByUrl = collectListingSeeds($, request.url, site.currency);
+          // The first page's result count sizes the search; later pages rank their jobs with its page size
+          if (pageNo === 1) {
+            const { pageSize, totalPages } = readPagination($, links.length);
+            Object.assign(search, { pageSize, totalPages });
+          }
+          search.pageSize ??= links.length || null;
+          const rankOffset = (pageNo - 1) * (search.pageSize || links.length);
+          const positionOf = (u) => ({ search_page: pageNo, search_rank: rankOffset + links.indexOf(u) + 1 });
+          await archivePage({ request, html: body, statusCode: response?.statusCode, search, meta: { page_no: pageNo, rank_offset: rankOffset } });
+
+          // A job already taken by another search is not scraped again, only credited to this query too
+          const now = new Date();
+          const fresh = [];
+          let unchangedOnPage = 0;
+          let tooOldOnPage = 0;
+          let filteredOnPage = 0;
+          let duplicatesOnPage = 0;
+          for (const u of links) {
+            // Listed, so not expired, even if another search took it or it is dropped below
+            tracker?.listed(u);
+            if (matches.credit(u, search.query)) continue;
+            // The site does not always respect created_at, so check the card's date as well
+            if (!isWithinPostedDate(normalizeDatePosted(seedsByUrl.get(u)?.date_posted, now), search.postedDate, now)) {
+              tooOldOnPage++;
+              continue;
+            }
+            // Cheap pre-check on the card so obviously unwanted jobs never cost a detail request
+            if (collectDetails && (itemFilter.active || search.location) && itemFilter.check(seedsByUrl.get(u), { partial: true, location: search.location, country: site.name })) {
+              filteredOnPage++;
+              continue;
+            }
+            if (tracker) {
+              // Unchanged since a previous run: no detail fetch and no item
+              const change = tracker.classify(u, seedsByUrl.get(u), search.query);
+              if (change === 'unchanged') {
+                matches.take(u, search.query);
+                unchangedOnPage++;
+                continue;
+              }
+              changeTypes.set(u, change);
+            }
+            fresh.push(u);
+          }
+          unchangedSkipped += unchangedOnPage;
+          postedDateDropped += tooOldOnPage;
+          if (unchangedOnPage) log.info(`${unchangedOnPage} job(s) on this page are unchanged since a previous run, skipping.`);
+          if (tooOldOnPage) log.info(`${tooOldOnPage} job(s) on this page are older than posted_date "${search.postedDate}", skipping.`);
+          if (fresh.length + unchangedOnPage + tooOldOnPage < links.length) log.info(`${links.length - fresh.length - unchangedOnPage - tooOldOnPage} job(s) on this page were already taken earlier in the run.`);
+
+            // Fresh jobs on the page looked at before the budget ran out
+            let considered = 0;
+            if (!collectDetails) {
+              // Filtered-out jobs do not use up the budget
+              const budget = Math.max(0, search.resultsWanted - search.scraped);
+              const toPush = [];
+              const items = [];
+              for (const u of fresh) {
+                if (items.length >= budget) break;
+                considered++;
+                const seed = seedsByUrl.get(u) || {};
+                const item = withChangeInfo({
+                  ...emptyJobItem(u, site),
+                  search_query: search.query,
+                  search_queries: [search.query],
+                  ...positionOf(u),
+                  ...seed,
+                  date_posted_iso: normalizeDatePosted(seed.date_posted, now),
+                  // Listed on the search page, so open as of now
+                  status: 'open',
+                  scraped_at: now.toISOString(),
+                  checked_at: now.toISOString(),
+                }, u);
+                if (itemFilter.check(item, { location: search.location, country: site.name })) {
+                  filteredOnPage++;
+                  continue;
+                }
+                if (duplicates) {
+                  const dup = duplicates.register(item);
+                  if (dup.duplicate_of && duplicateMode === 'drop') {
+                    duplicatesOnPage++;
+                    continue;
+                  }
+                  Object.assign(item, dup);
+                }
+                toPush.push(u);
+                items.push(item);
+              }
+              if (toPush.length > 0) {
+                // Book-keeping goes first: a state persisted during the push must already count these jobs
+                for (const u of toPush) {
+                  tracker?.record(u, seedsByUrl.get(u), search.query);
+                  matches.take(u, search.query);
+                  matches.markPushed(u, 1);
+                  scrapedUrls.add(u);
+                }
+                search.scraped += items.length;
+                jobsScraped += items.length;
+                await pushItems(items);
+                items.forEach((it) => health.recordItem(it));
+                await enqueueCompanies(items, enqueueLinks);
+                log.info(`Pushed ${items.length} items directly from list page. Search total: ${search.scraped}/${search.resultsWanted}, overall: ${jobsScraped}`);
+              }
+            } else {
+            // Stop enqueueing when limit is hit
+            const toEnqueue = fresh.slice(0, Math.max(0, search.resultsWanted - search.enqueued));
+            for (const u of toEnqueue) {
+              // Only enqueue if we haven't hit this search's scraped/enqueued limit
+              if (search.enqueued < search.resultsWanted && search.scraped < search.resultsWanted) {
+                 matches.take(u, search.query);
+                 await enqueueLinks({ urls: [u], userData: { label: 'DETAIL', searchId: search.id, seed: seedsByUrl.get(u) || {}, ...positionOf(u) } });
+                 search.enqueued++;
+                 considered++;
+              }
+            }
+            if (toEnqueue.length > 0) log.info(`Enqueued ${toEnqueue.length} detail pages. Search total enqueued: ${search.enqueued}`);
+          }
+
+          if (considered < fresh.length) {
+            // Not every listed job was looked at, so this search can no longer tell which jobs disappeared
+            search.cutShort = true;
+            search.exhausted = false;
+          }
+          if (filteredOnPage) log.info(`${filteredOnPage} job(s) on this page did not pass the filters.`);
+          if (duplicatesOnPage) log.info(`${duplicatesOnPage} job(s) on this page duplicate jobs saved earlier, skipping.`);
+          duplicatesDropped += duplicatesOnPage;
+
+          // Deterministic stop conditions
+          search.pagesDone++;
+          if (search.finalPage) reachedEnd(search, search.finalPage);
+          if (search.scraped >= search.resultsWanted || search.enqueued >= search.resultsWanted) {
+              log.info(`Reached 'results_wanted' limit (${search.resultsWanted}) for "${search.query}". Stopping pagination.`);
+              // Keep the first page not queued yet at hand in case filtered-out detail pages free up budget
+              const nextPageNo = Math.max(search.lastPage, pageNo) + 1;
+              const nextUrl = collectDetails && links.length > 0 ? pageUrlFor(search, nextPageNo, $, request.url, pageNo) : null;
+              if (nextUrl) search.pendingNext = { url: nextUrl, pageNo: nextPageNo };
+              return;
+          }
+          if (pageNo >= MAX_PAGES) {
+              log.info(`Reached 'max_pages' limit (${MAX_PAGES}). Stopping pagination.`);
+              return;
+          }
+          if (links.length === 0) {
+              log.warning(`No links found on page ${pageNo}, stopping pagination for this branch.`);
+              reachedEnd(search, pageNo);
+              return;
+          }
+
+          // Knowing the page count, every page the budget needs is queued at once and crawled in parallel;
+          // the last of them carries on one page at a time if filtered-out jobs leave the budget short
+          if (pageNo === 1 && search.totalPages && search.lastPage === 1) {
+              const left = search.resultsWanted - (collectDetails ? search.enqueued : search.scraped);
+              const upTo = Math.min(search.totalPages, MAX_PAGES, 1 + Math.ceil(left / search.pageSize));
+              if (upTo > 1) log.info(`"${search.query}" has ${search.totalPages} page(s) of results, enqueuing pages 2-${upTo}.`);
+              // Front of the queue, in reverse, so page 2 comes first
+              for (let n = upTo; n >= 2; n--) {
+                  await enqueueLinks({ urls: [pageUrlFor(search, n)], userData: { label: 'LIST', pageNo: n, searchId: search.id }, forefront: true });
+              }
+              search.lastPage = Math.max(search.lastPage, upTo);
+          }
+          // A later page is queued already and carries on from there
+          if (pageNo < search.lastPage) return;
+
+          const nextUrl = pageUrlFor(search, pageNo + 1, $, request.url, pageNo);
+          if (nextUrl) {
+            log.info(`Enqueuing next LIST page ${pageNo + 1}: ${nextUrl}`);
+            await enqueueLinks({ urls: [nextUrl], userData: { label: 'LIST', pageNo: pageNo + 1, searchId: search.id }, forefront: true });
+            search.lastPage = pageNo + 1;
+          } else {
+            log.info(`No more result pages after page ${pageNo} of "${search.query}".`);
+            reachedEnd(search, pageNo);
+          }
+        }
+
+        if (label === 'DETAIL') {
+          await handleDetail({ request, $, html: body, statusCode: response?.statusCode, enqueueLinks, search, site });
+        }
+
+        if (label === 'COMPANY') {
+          const company = extractCompanyProfile({ request, $, country: site });
+          if (!company.name) {
+              log.warning(`Skipping company page with no name: ${request.url}`);
+              return;
+          }
+          await companiesDataset.pushData(company);
+          companiesSaved++;
+          log.info(`Saved company: ${company.name} (${company.open_jobs_count} open jobs listed)`);
+        }
+      } catch (e) {
+        // Log errors gracefully without crashing
+        log.error(`Error in requestHandler for ${request.url}: ${e.message}`, { stack: e.stack });
+      }
+    },
+
+    // Log failed requests clearly
+    failedRequestHandler: async ({ request, error }) => {
+      health.recordFailure();
+      log.error(`Request failed: ${request.url} (Label: ${request.userData?.label}, Retries: ${request.retryCount}) | Error: ${error?.message}`);
+      const search = searches[request.userData?.searchId];
+      if (request.userData?.label === 'DETAIL' && search?.direct) await saveUncheckedPosting(request, search);
+      else if (request.userData?.label === 'DETAIL' && search) await passOn({ request, search });
+    },
+  });
+
+  // ---- BROWSER FALLBACK ----
+  // DETAIL pages that fail validation are rendered by Playwright once the HTTP crawl is done, and go
+  // through the same handleDetail. What they enqueue (company pages, resumed pagination) goes back
+  // to the HTTP crawler's queue.
+  const enqueueToHttpQueue = async ({ urls, userData, forefront = false }) => {
+    await requestQueue.addRequests(urls.map((url) => ({ url, userData })), { forefront });
+  };
+  let browserCrawler = null;
+  let browserQueue = null;
+  // Set when the browser cannot run at all (typically no Chromium to launch); pages are no longer re-routed
+  let browserFailed = false;
+  // A re-routed page the browser could not render is saved from its HTTP response, like the pages past the cap
+  const saveFromHttpParse = async (request) => {
+    const search = searches[request.userData.searchId] || searches[0];
+    const { item, closedBy = null } = request.userData.httpParse || {};
+    if (!item) {
+      await releaseSlot(search, enqueueToHttpQueue);
+      return;
+    }
+    await saveParsedDetail({ item: { ...item }, closedBy, request, search, enqueueLinks: enqueueToHttpQueue });
+  };
+  const BrowserCrawler = runtime.browserCrawlerClass || PlaywrightCrawler;
+  if (browserFallback) {
+    browserQueue = await RequestQueue.open(`jobberman-browser-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`);
+    try {
+      browserCrawler = new BrowserCrawler({
+        requestQueue: browserQueue,
+        proxyConfiguration: proxyConf,
+        maxConcurrency: BROWSER_CONCURRENCY,
+        maxRequestRetries: 2,
+        requestHandlerTimeoutSecs: 60,
+        navigationTimeoutSecs: 60,
+        useSessionPool: true,
+        persistCookiesPerSession: true,
+        headless: true,
+        // A system Chromium (e.g. Alpine's) when Playwright's own browsers are not installed
+        launchContext: { launchOptions: { executablePath: process.env.BROWSER_EXECUTABLE_PATH || undefined } },
+        preNavigationHooks: [async ({ page, blockRequests }) => {
+          // Images, fonts and styles are not needed to read the page
+          await blockRequests?.().catch(() => {});
+          const cookieHeader = normalizeCookieHeader({ cookies, cookiesJson });
+          if (cookieHeader) await page.setExtraHTTPHeaders({ Cookie: cookieHeader });
+        }],
+        async requestHandler({ request, page, parseWithCheerio, response, session }) {
+          // Client-rendered descriptions arrive after the load event
+          await page.waitForLoadState('networkidle', { timeout: 10_000 }).catch(() => {});
+          const $ = await parseWithCheerio();
+          const html = snapshots ? await page.content() : null;
+          const blockReason = detectBlock({ statusCode: response?.status(), $ });
+          if (blockReason) {
+            health.recordBlock(session?.id, blockReason);
+            session?.retire();
+            throw new Error(`Blocked (${blockReason}) in the browser, retrying with a new session`);
+          }
+          const search = searches[request.userData.searchId] || searches[0];
+          try {
+            await handleDetail({ request, $, html, statusCode: response?.status(), enqueueLinks: enqueueToHttpQueue, search, site: countryForUrl(request.url) || country, viaBrowser: true });
+          } catch (e) {
+            log.error(`Error in browser requestHandler for ${request.url}: ${e.message}`, { stack: e.stack });
+          }
+          browserPending.delete(request.url);
+        },
+        failedRequestHandler: async ({ request, error }) => {
+          health.recordFailure();
+          browserPending.delete(request.url);
+          log.error(`Browser fallback failed, saving the page from its HTTP response: ${request.url} | Error: ${error?.message}`);
+          await saveFromHttpParse(request);
+        },
+      });
+    } catch (err) {
+      await browserQueue.drop();
+      throw new Error(`browserFallback needs the "playwright" package and a Chromium browser (npm install playwright && npx playwright install chromium): ${err.message}`);
+    }
+  }
+
+  let stopped = false;
+  // Pages still waiting once the browser is done (it failed to start, or gave up on them) keep their HTTP parse
+  const saveUnrendered = async () => {
+    for (const request of [...browserPending.values()]) {
+      browserPending.delete(request.url);
+      await saveFromHttpParse(request);
+    }
+  };
+  const crawlAll = async () => {
+    await crawler.run(searches.flatMap((s) => (s.direct
+      ? s.jobUrls.map((url) => ({ url, userData: { label: 'DETAIL', searchId: s.id, seed: {} } }))
+      : [{ url: s.url, userData: { label: 'LIST', pageNo: 1, searchId: s.id } }])));
+    while (browserCrawler && !browserFailed && browserPending.size && !stopped) {
+      log.info(`Rendering ${browserPending.size} page(s) in the browser fallback...`);
+      try {
+        await browserCrawler.run([...browserPending.values()]);
+      } catch (err) {
+        browserFailed = true;
+        log.warning(`The browser fallback could not run (${err.message}), the re-routed pages are saved from their HTTP response.`);
+      }
+      if (stopped) break;
+      await saveUnrendered();
+      // The queue keeps the HTTP crawler's handled requests, so only the newly added ones run
+      if (!(await requestQueue.isEmpty())) await crawler.run(undefined, { purgeRequestQueue: false });
+    }
+  };
+
+  log.info('Starting crawler...');
+  log.info('--- Searches ---');
+  searches.forEach((s) => log.info(`${s.id + 1}: "${s.query}" (${s.resultsWanted} wanted) ${s.direct ? `${s.jobUrls.length} job URL(s)` : s.url}`));
+  log.info('----------------------');
+  
+  // The crawl runs in the background while its items are handed out
+  let crawlDone = false;
+  const crawl = crawlAll()
+    .then(() => channel.close(), (err) => channel.close(err))
+    .finally(() => { crawlDone = true; });
+  let drained = false;
+  try {
+    yield* channel.drain();
+    drained = true;
+  } finally {
+    if (!crawlDone) {
+      log.info('Consumer stopped early, aborting the crawl.');
+      stopped = true;
+      await crawler.autoscaledPool?.abort();
+      await browserCrawler?.autoscaledPool?.abort();
+    }
+    await crawl;
+    events.off(EventType.PERSIST_STATE, persistCrawlState);
+    events.off(EventType.MIGRATING, persistCrawlState);
+    // Only an interrupted run resumes: once the crawl is over, a later run with the same searches starts afresh
+    await defaultStore.setValue(stateKey, null);
+    events.off(EventType.PERSIST_STATE, persistSnapshots);
+    events.off(EventType.MIGRATING, persistSnapshots);
+    // Also when the consumer stopped early: the pages saved so far are already in the store
+    await persistSnapshots();
+    events.off(EventType.MIGRATING, flushWebhook);
+    // The run ends here: still deliver what was saved
+    if (!drained) await webhook?.close();
+    if (ownQueue) await requestQueue.drop();
+    await browserQueue?.drop();
+  }
+  if (snapshots) log.info(`Saved ${snapshots.saved()} page snapshot(s) to store "${snapshotStoreName}".`);
+
+  if (itemFilter.active || itemFilter.dropped().location || postedDateDropped || duplicatesDropped) {
+    log.info('Jobs dropped per filter rule:', { ...itemFilter.dropped(), posted_date: postedDateDropped, duplicates: duplicatesDropped });
+  }
+
+  if (searches.length > 1) {
+    searches.forEach((s) => log.info(`Search "${s.query}": ${s.scraped}/${s.resultsWanted} jobs saved.`));
+  }
+
+  // Items are pushed once, so queries that matched a job after it was saved are recorded separately
+  const lateMatches = matches.lateMatches();
+  if (Object.keys(lateMatches).length) {
+    await defaultStore.setValue(SEARCH_MATCHES_KEY, lateMatches);
+    log.info(`${Object.keys(lateMatches).length} saved job(s) matched more searches after being pushed; full query lists saved to the SEARCH_MATCHES record.`);
+  }
+  
+  if (tracker) {
+    // Only fully paginated searches can tell that a job disappeared
+    const exhaustedQueries = new Set(searches.filter((s) => s.exhausted).map((s) => s.query));
+    const expired = tracker.takeExpired(exhaustedQueries);
+    if (emitExpired) {
+      for (const { url, title, company, first_seen, last_seen, queries } of expired) {
+        const site = countryForUrl(url) || country;
+        const out = project({ url, title, company, change_type: 'expired', first_seen, last_seen, search_query: queries[0], search_queries: queries, scraped_at: new Date().toISOString(), _source: site.host, country: site.name });
+        webhook?.add(out);
+        yield out;
+      }
+    }
+    await incrementalStore.setValue(INCREMENTAL_STATE_KEY, tracker.seen);
+    log.info(`Incremental mode: ${unchangedSkipped} unchanged job(s) skipped, ${expired.length} expired${emitExpired ? ' (emitted)' : ''}, ${Object.keys(tracker.seen).length} jobs tracked.`);
+  }
+
+  if (webhook) {
+    const sent = await webhook.close();
+    const failed = sent.batches_failed ? `, ${sent.items_failed} item(s) in ${sent.batches_failed} failed batch(es) saved to WEBHOOK_FAILED_* records` : '';
+    log.info(`Webhook: delivered ${sent.items_sent} item(s) in ${sent.batches_sent} batch(es) after ${sent.retries} retry(ies)${failed}.`);
+  }
+
+  if (browserFailed) {
+    log.warning(`Browser fallback: the browser could not run, ${Math.min(browserFallbacks, MAX_BROWSER_FALLBACKS)} page(s) that needed it were saved from their HTTP response.`);
+  } else if (browserCrawler) {
+    log.info(`Browser fallback: ${Math.min(browserFallbacks, MAX_BROWSER_FALLBACKS)} of ${MAX_BROWSER_FALLBACKS} allowed page(s) re-rendered${browserFallbacks > MAX_BROWSER_FALLBACKS ? `, ${browserFallbacks - MAX_BROWSER_FALLBACKS} more needed it` : ''}.`);
+  }
+
+  if (companiesDataset) {
+    log.info(`Saved ${companiesSaved} of ${enqueuedCompanies.size} linked company profile(s) to dataset "${companiesDatasetName}".`);
+  }
+
+  if (analytics) {
+    const report = analytics.report();
+    await defaultStore.setValue(MARKET_REPORT_KEY, report);
+    await defaultStore.setValue(`${MARKET_REPORT_KEY}_HTML`, renderMarketReportHtml(report), { contentType: 'text/html; charset=utf-8' });
+    log.info(`Market report over ${report.jobs} job(s) saved to the ${MARKET_REPORT_KEY} (JSON) and ${MARKET_REPORT_KEY}_HTML records.`);
+  }
+
+  // Final summary log
+    if (jobsScraped === 0) {
+        log.warning('Crawl finished. No jobs were saved.');
+        await onStatus('Finished without results - please review input or site changes.');
+    } else {
+        log.info(`Crawl finished. Total jobs saved: ${jobsScraped}`);
+        await onStatus(`Finished - saved ${jobsScraped} jobs.`);
+    }
+
+  // Health report: fill rates are compared with previous runs of the same mode
+  const healthStore = await KeyValueStore.open(healthStoreName);
+  const historyKey = `HISTORY-${collectDetails ? 'detail' : 'list'}`;
+  const history = (await healthStore.getValue(historyKey)) || [];
+  const healthReport = health.report();
+  const ratio = (Number.isFinite(+healthThreshold) ? Math.max(0, Math.min(100, +healthThreshold)) : DEFAULT_HEALTH_THRESHOLD) / 100;
+  const issues = findHealthIssues(healthReport, history, ratio);
+  const { blocks } = healthReport;
+  if (blocks.total) {
+    const perSession = Object.entries(blocks.by_session).sort((a, b) => b[1] - a[1]);
+    log.warning(`Blocked ${blocks.total} time(s) across ${perSession.length} session(s), the crawl slowed down ${rate.slowdowns()} time(s). By reason: ${Object.entries(blocks.by_reason).map(([r, n]) => `${r} ${n}`).join(', ')}.`);
+    log.info(`Blocks per session: ${perSession.map(([id, n]) => `${id} ${n}`).join(', ')}`);
+  }
+  await defaultStore.setValue('HEALTH_REPORT', { ...healthReport, threshold: ratio, historical_runs: history.length, issues });
+  if (issues.length) {
+    const summary = issues.map((i) => `${i.field} ${Math.round(i.fill_rate * 100)}% (usually ${Math.round(i.historical_fill_rate * 100)}%)`).join(', ');
+    log.warning(`Health check: fill rates dropped below ${Math.round(ratio * 100)}% of the norm, the site markup may have changed: ${summary}. See the HEALTH_REPORT record.`);
+    if (failOnHealthIssues) {
+      throw new Error(`Health check failed: ${summary}`);
+    } else {
+      await onStatus(`Finished - saved ${jobsScraped} jobs, but extraction looks degraded: ${summary}`);
+    }
+  } else {
+    await healthStore.setValue(historyKey, appendHealthHistory(history, healthReport));
+  }
+}
+
+export { scrapeJobberman };
@@ -0,0 +1,89 @@
+// Jobberman-family site definitions and search URL building
+// Countries by host, base URL and currency, and the search filters all of the sites share
+
+// Jobberman-family sites share the same markup; BrighterMonday runs the same platform in East Africa
+const COUNTRIES = {
+  nigeria: { name: 'Nigeria', code: 'NG', host: 'jobberman.com', baseUrl: 'https://www.jobberman.com', currency: 'NGN' },
+  ghana: { name: 'Ghana', code: 'GH', host: 'jobberman.com.gh', baseUrl: 'https://www.jobberman.com.gh', currency: 'GHS' },
+  kenya: { name: 'Kenya', code: 'KE', host: 'brightermonday.co.ke', baseUrl: 'https://www.brightermonday.co.ke', currency: 'KES' },
+  uganda: { name: 'Uganda', code: 'UG', host: 'brightermonday.co.ug', baseUrl: 'https://www.brightermonday.co.ug', currency: 'UGX' },
+  tanzania: { name: 'Tanzania', code: 'TZ', host: 'brightermonday.co.tz', baseUrl: 'https://www.brightermonday.co.tz', currency: 'TZS' },
+};
+const DEFAULT_COUNTRY = 'nigeria';
+
+// Resolve a country config from user input ("ghana", "GH", "Ghana"); null when unknown
+const resolveCountry = (raw) => {
+  const key = String(raw ?? '').trim().toLowerCase();
+  if (!key) return COUNTRIES[DEFAULT_COUNTRY];
+  if (COUNTRIES[key]) return COUNTRIES[key];
+  return Object.values(COUNTRIES).find((c) => c.code.toLowerCase() === key || c.host === key) || null;
+};
+
+// Match a URL against the known country domains (www. and other subdomains included)
+const countryForUrl = (url) => {
+  let hostname = '';
+  try { hostname = new URL(url).hostname.toLowerCase(); } catch { return null; }
+  return Object.values(COUNTRIES).find((c) => hostname === c.host || hostname.endsWith(`.${c.host}`)) || null;
+};
+
+// Site slugs are the lowercased labels with punctuation collapsed to dashes ("IT & Telecoms" -> "it-telecoms")
+const slugify = (s) => String(s ?? '').toLowerCase().replace(/&/g, ' ').replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+
+const facet = (param, labels) => ({ param, values: Object.fromEntries(labels.map((l) => [slugify(l), l])) });
+
+// Native search filters, keyed by input name. Values may be given as the label or the slug.
+const SEARCH_FACETS = {
+  industry: facet('industry', [
+    'Advertising, Media & Communications', 'Agriculture, Fishing & Forestry', 'Automotive & Aviation',
+    'Banking, Finance & Insurance', 'Construction', 'Education', 'Energy & Utilities', 'Enforcement & Security',
+    'Entertainment, Events & Sport', 'Government', 'Healthcare', 'Hospitality & Hotel', 'IT & Telecoms',
+    'Law & Compliance', 'Manufacturing & Warehousing', 'Mining, Energy & Metals', 'NGO, NPO & Charity',
+    'Real Estate', 'Recruitment', 'Retail, Fashion & FMCG', 'Shipping & Logistics', 'Tourism & Travel',
+  ]),
+  jobFunction: facet('job_category', [
+    'Accounting, Auditing & Finance', 'Admin & Office', 'Creative & Design', 'Customer Service & Support',
+    'Driver & Transport Services', 'Engineering & Technology', 'Estate Agents & Property Management',
+    'Farming & Agriculture', 'Food Services & Catering', 'Health & Safety', 'Hospitality & Leisure',
+    'Human Resources', 'Legal Services', 'Management & Business Development', 'Marketing & Communications',
+    'Medical & Pharmaceutical', 'Product & Project Management', 'Quality Control & Assurance',
+    'Research, Teaching & Training', 'Sales', 'Software & Data', 'Supply Chain & Procurement',
+    'Trades & Services', 'Community & Social Services', 'Security',
+  ]),
+  experienceLevel: facet('experience_level', [
+    'Internship & Graduate', 'Entry level', 'Mid level', 'Senior level', 'Executive level',
+  ]),
+  workType: facet('work_type', ['Remote', 'Hybrid', 'On-site']),
+  employmentType: facet('employment_type', [
+    'Full Time', 'Part Time', 'Contract', 'Temporary', 'Internship & Graduate', 'Freelance',
+  ]),
+};
+
+// Turn facet inputs into query params; each facet takes the first non-empty value across the sources
+// (e.g. a batch search entry, then the top-level input). Unknown values throw with the valid slugs.
+const resolveFacets = (...sources) => {
+  const params = {};
+  for (const [key, { param, values }] of Object.entries(SEARCH_FACETS)) {
+    const raw = sources.map((src) => src?.[key]).find((v) => v !== undefined && v !== null && String(v).trim() !== '');
+    if (raw === undefined) continue;
+    const slug = slugify(raw);
+    if (!values[slug]) {
+      throw new Error(`Unknown ${key} "${raw}". Supported values: ${Object.keys(values).join(', ')}.`);
+    }
+    params[param] = slug;
+  }
+  return params;
+};
+
+const buildStartUrl = (kw, loc, date, country = COUNTRIES[DEFAULT_COUNTRY], facetParams = {}) => {
+  const u = new URL('/jobs', country.baseUrl);
+  if (kw && String(kw).trim()) u.searchParams.set('q', String(kw).trim());
+  if (loc && String(loc).trim()) u.searchParams.set('l', String(loc).trim());
+  // Handle tolerant date parsing
+  const dateMap = { '24h': '1 day', '7d': '7 days', '30d': '30 days', '1 day': '1 day', '7 days': '7 days', '30 days': '30 days' };
+  const normalizedDate = String(date).toLowerCase().replace(/\s+/g, '');
+  if (dateMap[normalizedDate]) u.searchParams.set('created_at', dateMap[normalizedDate]);
+  for (const [param, value] of Object.entries(facetParams)) u.searchParams.set(param, value);
+  return u.href;
+};
+
+export { COUNTRIES, DEFAULT_COUNTRY, SEARCH_FACETS, resolveCountry, countryForUrl, resolveFacets, buildStartUrl };
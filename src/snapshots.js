@@ -0,0 +1,79 @@
+// Raw HTML snapshots: gzipped LIST and DETAIL pages in a key-value store, indexed by URL and fetch time
+// Reads and writes the key-value store the caller passes (scraper.js, which also re-parses from it, and the tests)
+
+import { createHash } from 'node:crypto';
+import { gzipSync, gunzipSync } from 'node:zlib';
+
+const SNAPSHOT_INDEX_PREFIX = 'INDEX-';
+const SNAPSHOT_PREFIX = 'SNAPSHOT-';
+const SNAPSHOT_CONTENT_TYPE = 'application/gzip';
+// The index is split by the first two hex digits of the URL hash, so a run only rewrites the parts it added to
+const INDEX_SHARD_KEYS = Array.from({ length: 256 }, (_, i) => `${SNAPSHOT_INDEX_PREFIX}${i.toString(16).padStart(2, '0')}`);
+
+const urlHash = (url) => createHash('sha1').update(url).digest('hex');
+
+// Record keys only allow [a-zA-Z0-9!-_.'()], so the URL goes in as a hash; the index maps it back
+const snapshotKey = (url, fetchedAt) => `${SNAPSHOT_PREFIX}${urlHash(url).slice(0, 16)}-${fetchedAt.getTime()}`;
+const snapshotIndexKey = (url) => `${SNAPSHOT_INDEX_PREFIX}${urlHash(url).slice(0, 2)}`;
+
+// Each index shard maps page URL -> its snapshots, oldest first: { key, label, fetched_at, ...meta }.
+// Snapshots accumulate across runs that share the store. A shard is read the first time a page of it is
+// saved, and persist() writes back the shards that changed; loadAll() reads every shard, for re-parsing.
+const createSnapshotArchive = ({ store }) => {
+  // Index key -> promise of the shard, and the shards read so far
+  const loading = new Map();
+  const shards = new Map();
+  const dirty = new Set();
+  let saved = 0;
+
+  const shard = (indexKey) => {
+    if (!loading.has(indexKey)) {
+      loading.set(indexKey, (async () => {
+        const index = (await store.getValue(indexKey)) || {};
+        shards.set(indexKey, index);
+        return index;
+      })());
+    }
+    return loading.get(indexKey);
+  };
+  const loadedEntries = () => [...shards.values()].flatMap((index) => Object.entries(index));
+
+  const archive = {
+    async save({ url, html, label, fetchedAt = new Date(), meta = {} }) {
+      const key = snapshotKey(url, fetchedAt);
+      await store.setValue(key, gzipSync(String(html ?? '')), { contentType: SNAPSHOT_CONTENT_TYPE });
+      const entry = { key, label, fetched_at: fetchedAt.toISOString(), ...meta };
+      const indexKey = snapshotIndexKey(url);
+      const index = await shard(indexKey);
+      (index[url] ??= []).push(entry);
+      dirty.add(indexKey);
+      saved++;
+      return entry;
+    },
+    async persist() {
+      const changed = [...dirty];
+      dirty.clear();
+      for (const indexKey of changed) await store.setValue(indexKey, shards.get(indexKey));
+    },
+    async loadAll() {
+      await Promise.all(INDEX_SHARD_KEYS.map(shard));
+      return archive;
+    },
+    // The most recent snapshot of every page in the loaded shards, in fetch order
+    latest: () => loadedEntries()
+      .map(([url, entries]) => ({ url, ...entries[entries.length - 1] }))
+      .sort((a, b) => a.fetched_at.localeCompare(b.fetched_at) || a.url.localeCompare(b.url)),
+    // The page's HTML, or null when the record is gone
+    async read(entry) {
+      const raw = await store.getValue(entry.key);
+      return raw ? gunzipSync(raw).toString('utf8') : null;
+    },
+    pages: () => loadedEntries().length,
+    saved: () => saved,
+  };
+  return archive;
+};
+
+const loadSnapshotArchive = (store) => createSnapshotArchive({ store }).loadAll();
+
+export { snapshotKey, snapshotIndexKey, createSnapshotArchive, loadSnapshotArchive };
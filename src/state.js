@@ -0,0 +1,36 @@
+// Crawl progress that has to survive a migration or restart of the run
+// (De)serialization only; scraper.js owns the events and the key-value store
+
+import { createHash } from 'node:crypto';
+
+const CRAWL_STATE_KEY = 'CRAWL_STATE';
+
+// One record per request queue: a resumed run comes back with its queue, and calls crawling side by side
+// with their own queues do not overwrite each other's progress
+const crawlStateKey = (queueId) => `${CRAWL_STATE_KEY}-${String(queueId).replace(/[^a-zA-Z0-9!\-_.'()]/g, '-')}`;
+
+// JSON has no Map or Set, so they are stored as tagged entry lists
+const encodeState = (value) => {
+  if (value instanceof Map) return { $map: [...value].map(([k, v]) => [k, encodeState(v)]) };
+  if (value instanceof Set) return { $set: [...value].map(encodeState) };
+  if (Array.isArray(value)) return value.map(encodeState);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, encodeState(v)]));
+  }
+  return value;
+};
+
+const decodeState = (value) => {
+  if (Array.isArray(value)) return value.map(decodeState);
+  if (!value || typeof value !== 'object') return value;
+  if (Array.isArray(value.$map)) return new Map(value.$map.map(([k, v]) => [k, decodeState(v)]));
+  if (Array.isArray(value.$set)) return new Set(value.$set.map(decodeState));
+  return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, decodeState(v)]));
+};
+
+// Saved progress only applies to the same searches in the same order (search ids index into it)
+const searchesFingerprint = (searches) => createHash('sha1')
+  .update(JSON.stringify(searches.map((s) => [s.url, s.resultsWanted, s.postedDate ?? null])))
+  .digest('hex');
+
+export { CRAWL_STATE_KEY, crawlStateKey, encodeState, decodeState, searchesFingerprint };
@@ -0,0 +1,54 @@
+// Posting status: whether a fetched job page is still open, or closed (removed, redirected away, expired)
+// scraper.js and reparse.js ask detectClosedPosting and postingOutcome about every detail page
+
+const CLOSED_STATUS_CODES = new Set([404, 410]);
+const CLOSED_TEXT = new RegExp([
+  String.raw`\b(job|position|vacancy|role|listing|posting|advert)\b[^.!]{0,40}\b(no longer (available|active|open|accepting applications)|has (expired|closed|been (closed|filled|removed|taken down))|is (now )?closed)`,
+  String.raw`\bno longer accepting applications\b`,
+  String.raw`\bapplications? (are |is |have )?(now )?closed\b`,
+  String.raw`\b(page|job) not found\b`,
+].join('|'), 'i');
+// Where sites put the notice; the job description itself may well mention "applications closed on ..."
+const NOTICE_SELECTORS = [
+  'h1', 'h2', 'h3', '[role="alert"]', '.alert', '[class*="expired" i]', '[class*="closed" i]', '[class*="not-found" i]', '[class*="notice" i]',
+];
+const MAX_NOTICE_LENGTH = 300;
+
+const hasClosedNotice = ($) => $(NOTICE_SELECTORS.join(', ')).toArray().some((el) => {
+  const text = $(el).text().replace(/\s+/g, ' ').trim();
+  return text.length <= MAX_NOTICE_LENGTH && CLOSED_TEXT.test(text);
+});
+
+// A job URL that ends up on a page that is not a job (the search, the home page)
+const isRedirectedAway = (url, loadedUrl) => {
+  try {
+    const from = new URL(url);
+    const to = new URL(loadedUrl);
+    return from.pathname !== to.pathname && /\/listings\//.test(from.pathname) && !/\/listings\//.test(to.pathname);
+  } catch {
+    return false;
+  }
+};
+
+// Why the posting is closed ('http-404', 'http-410', 'redirected', 'no-longer-available', 'expired'), or
+// null while it is open. 'expired' pages (valid_through has passed) still carry the whole posting.
+const detectClosedPosting = ({ statusCode, url, loadedUrl, $, validThrough, now = new Date() }) => {
+  if (CLOSED_STATUS_CODES.has(statusCode)) return `http-${statusCode}`;
+  if (url && loadedUrl && isRedirectedAway(url, loadedUrl)) return 'redirected';
+  if ($ && hasClosedNotice($)) return 'no-longer-available';
+  const deadline = validThrough ? Date.parse(validThrough) : NaN;
+  if (deadline < now.getTime()) return 'expired';
+  return null;
+};
+
+// What becomes of a parsed detail page. Job URLs given directly are always reported: a removed or unreadable
+// posting is saved `blank`, with only its URL and status. A search result is `skipped` instead. Postings past
+// their deadline keep the whole posting, as `closed`.
+const postingOutcome = ({ closedBy, hasTitle, direct = false }) => {
+  const removed = Boolean(closedBy) && closedBy !== 'expired';
+  if (removed) return direct ? { status: 'closed', blank: true, removed } : { skipped: 'closed', removed };
+  if (!hasTitle) return direct ? { status: 'unknown', blank: true } : { skipped: 'unreadable' };
+  return { status: closedBy === 'expired' ? 'closed' : 'open' };
+};
+
+export { detectClosedPosting, postingOutcome };
@@ -0,0 +1,142 @@
+// Webhook sink: POSTs scraped items to an HTTP endpoint in batches, next to the dataset
+// Sends with fetch and retries with timers; failed batches go to the dead-letter store the caller passes
+
+const DEFAULT_BATCH_SIZE = 50;
+const DEFAULT_FLUSH_INTERVAL_SECS = 10;
+const DEFAULT_MAX_RETRIES = 5;
+const DEFAULT_RETRY_BASE_MS = 1000;
+const MAX_RETRY_DELAY_MS = 60_000;
+const REQUEST_TIMEOUT_MS = 30_000;
+const DEAD_LETTER_PREFIX = 'WEBHOOK_FAILED_';
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// "Name: value" sets that header; a bare value ("Bearer abc") goes into Authorization
+const parseAuthHeader = (raw) => {
+  const s = String(raw ?? '').trim();
+  if (!s) return {};
+  const m = s.match(/^([A-Za-z0-9-]+):\s*(.+)$/);
+  return m ? { [m[1]]: m[2] } : { Authorization: s };
+};
+
+// Server errors, rate limiting and network failures are worth another try; other 4xx are not
+const isRetryable = (status) => status === null || status === 408 || status === 429 || status >= 500;
+
+// Exponential backoff with +-20% jitter, so several runs do not retry in lockstep
+const backoffDelay = (attempt, baseMs) => {
+  const delay = Math.min(MAX_RETRY_DELAY_MS, baseMs * 2 ** (attempt - 1));
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+};
+
+// add() only buffers, so a slow endpoint never holds up the crawler; batches are sent one at a time, in order.
+// Batches still failing after maxRetries are saved to `store` under WEBHOOK_FAILED_<batch_id> for replay.
+const createWebhookSink = ({
+  url,
+  authHeader,
+  batchSize = DEFAULT_BATCH_SIZE,
+  flushIntervalSecs = DEFAULT_FLUSH_INTERVAL_SECS,
+  maxRetries = DEFAULT_MAX_RETRIES,
+  retryBaseMs = DEFAULT_RETRY_BASE_MS,
+  store = null,
+  runId = Date.now().toString(36),
+  log = { warning: console.warn, error: console.error, debug: () => {} },
+  fetchImpl = fetch,
+}) => {
+  const headers = { 'Content-Type': 'application/json; charset=utf-8', ...parseAuthHeader(authHeader) };
+  const size = Math.max(1, Math.floor(+batchSize) || DEFAULT_BATCH_SIZE);
+  const stats = { items_sent: 0, batches_sent: 0, retries: 0, batches_failed: 0, items_failed: 0 };
+  let buffer = [];
+  let batchNo = 0;
+  let sending = Promise.resolve();
+  let closed = false;
+
+  const post = async (body) => {
+    try {
+      const res = await fetchImpl(url, { method: 'POST', headers, body, signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS) });
+      // Drain the body so the connection can be reused
+      await res.arrayBuffer().catch(() => {});
+      return { ok: res.ok, status: res.status, error: res.ok ? null : `HTTP ${res.status}` };
+    } catch (err) {
+      return { ok: false, status: null, error: err.message };
+    }
+  };
+
+  const deadLetter = async (batch, result, attempts) => {
+    stats.batches_failed++;
+    stats.items_failed += batch.items.length;
+    const key = `${DEAD_LETTER_PREFIX}${batch.batch_id}`;
+    log.warning(`Webhook batch ${batch.batch_id} (${batch.items.length} items) failed after ${attempts} attempt(s): ${result.error}. Saved to the ${key} record.`);
+    if (!store) return;
+    try {
+      await store.setValue(key, {
+        webhook_url: url,
+        batch_id: batch.batch_id,
+        attempts,
+        status: result.status,
+        error: result.error,
+        failed_at: new Date().toISOString(),
+        items: batch.items,
+      });
+    } catch (err) {
+      log.error(`Could not save the dead-letter record ${key}: ${err.message}`);
+    }
+  };
+
+  const send = async (batch) => {
+    const body = JSON.stringify(batch);
+    for (let attempt = 1; ; attempt++) {
+      const result = await post(body);
+      if (result.ok) {
+        stats.batches_sent++;
+        stats.items_sent += batch.items.length;
+        return;
+      }
+      if (!isRetryable(result.status) || attempt > maxRetries) {
+        await deadLetter(batch, result, attempt);
+        return;
+      }
+      stats.retries++;
+      const delay = backoffDelay(attempt, retryBaseMs);
+      log.debug(`Webhook batch ${batch.batch_id}: ${result.error}, retrying in ${delay} ms.`);
+      await sleep(delay);
+    }
+  };
+
+  // Hands the buffered items to the send chain; resolves when they were delivered or dead-lettered
+  const flush = () => {
+    if (buffer.length) {
+      const batch = { batch_id: `${runId}-${++batchNo}`, created_at: new Date().toISOString(), count: buffer.length, items: buffer };
+      buffer = [];
+      sending = sending.then(() => send(batch));
+    }
+    return sending;
+  };
+
+  const timer = flushIntervalSecs > 0 ? setInterval(flush, flushIntervalSecs * 1000) : null;
+  // The timer alone must not keep the process alive
+  timer?.unref?.();
+
+  return {
+    add(items) {
+      if (closed) throw new Error('The webhook sink is closed');
+      buffer.push(...[].concat(items));
+      while (buffer.length >= size) {
+        const rest = buffer.slice(size);
+        buffer = buffer.slice(0, size);
+        flush();
+        buffer = rest;
+      }
+    },
+    flush,
+    // Sends what is left and waits for every batch; returns the delivery stats
+    async close() {
+      closed = true;
+      if (timer) clearInterval(timer);
+      await flush();
+      return { ...stats };
+    },
+    stats: () => ({ ...stats, items_buffered: buffer.length }),
+  };
+};
+
+export { DEAD_LETTER_PREFIX, parseAuthHeader, createWebhookSink };
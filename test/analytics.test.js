@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { percentile, monthlySalary, createMarketAnalytics, renderMarketReportHtml } from '../src/analytics.js';
+
+const job = (overrides = {}) => ({
+  title: 'Accountant',
+  company: 'Acme Foods',
+  category: 'Accounting',
+  job_type: 'Full Time',
+  location: 'Ikeja, Lagos',
+  location_state: 'Lagos',
+  salary_min: null,
+  salary_max: null,
+  salary_currency: null,
+  salary_period: null,
+  date_posted_iso: '2026-10-12T08:30:00.000Z',
+  ...overrides,
+});
+
+const paid = (min, max, overrides = {}) => job({ salary_min: min, salary_max: max, salary_currency: 'NGN', salary_period: 'monthly', ...overrides });
+
+test('percentile interpolates between ranks', () => {
+  assert.equal(percentile([10, 20, 30, 40, 50], 50), 30);
+  assert.equal(percentile([10, 20, 30, 40], 50), 25);
+  assert.equal(percentile([10, 20, 30, 40, 50], 90), 46);
+  assert.equal(percentile([], 50), null);
+});
+
+test('monthlySalary takes the middle of the range, per month', () => {
+  assert.equal(monthlySalary(paid(100000, 200000)), 150000);
+  assert.equal(monthlySalary(paid(1200000, null, { salary_period: 'annual' })), 100000);
+  assert.equal(monthlySalary(paid(5000, 5000, { salary_period: 'daily' })), 110000);
+  assert.equal(monthlySalary(job()), null);
+});
+
+test('market report counts jobs and splits salaries by category and currency', () => {
+  const analytics = createMarketAnalytics();
+  analytics.add(paid(100000, 200000));
+  analytics.add(paid(300000, 300000, { company: 'Bright Finance', date_posted_iso: '2026-10-13T09:00:00.000Z' }));
+  analytics.add(paid(2000, 4000, { salary_currency: 'GHS', location_state: 'Greater Accra' }));
+  analytics.add(job({ category: '', job_type: 'Contract', location_state: null, location: 'Somewhere', date_posted_iso: null }));
+
+  const report = analytics.report({ generatedAt: new Date('2026-10-19T12:00:00.000Z') });
+  assert.equal(report.jobs, 4);
+  assert.equal(report.jobs_with_salary, 3);
+  assert.deepEqual(report.by_category, { Accounting: 3, Unknown: 1 });
+  assert.deepEqual(report.by_job_type, { 'Full Time': 3, Contract: 1 });
+  assert.deepEqual(report.by_company, { 'Acme Foods': 3, 'Bright Finance': 1 });
+  assert.deepEqual(report.by_location, { Lagos: 2, 'Greater Accra': 1, Somewhere: 1 });
+  assert.deepEqual(report.monthly_salary_percentiles, [
+    { category: 'Accounting', currency: 'GHS', jobs: 1, p10: 3000, p25: 3000, p50: 3000, p75: 3000, p90: 3000 },
+    { category: 'Accounting', currency: 'NGN', jobs: 2, p10: 165000, p25: 187500, p50: 225000, p75: 262500, p90: 285000 },
+  ]);
+  assert.deepEqual(report.posted_by_day, { '2026-10-12': 2, '2026-10-13': 1 });
+  assert.equal(report.posted_date_unknown, 1);
+
+  // An interrupted run picks up where it left off
+  const restored = createMarketAnalytics({ state: JSON.parse(JSON.stringify(analytics.state())) });
+  restored.add(job());
+  assert.equal(restored.report().jobs, 5);
+});
+
+test('market report HTML is a single page with escaped values', () => {
+  const analytics = createMarketAnalytics();
+  analytics.add(paid(100000, 200000, { company: '<script>alert(1)</script> Ltd' }));
+  const html = renderMarketReportHtml(analytics.report());
+  assert.match(html, /^<!DOCTYPE html>/);
+  assert.match(html, /&lt;script&gt;alert\(1\)&lt;\/script&gt; Ltd/);
+  assert.doesNotMatch(html, /<script|<link|src=/);
+  assert.match(html, /150,000/);
+  assert.match(html, /Jobs by posting date/);
+});
@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { load as cheerioLoad } from 'cheerio';
+import { unwrapRedirect, extractApplication, collectListingSeeds, extractFromDetail } from '../src/extractors.js';
+import { FIXED_NOW, fakeRequest, loadFixture } from './helpers.js';
+
+const LISTING_URL = 'https://www.jobberman.com/jobs?q=software+engineer&l=Lagos';
+
+test('unwrapRedirect follows nested redirect wrappers to the target', () => {
+  assert.equal(
+    unwrapRedirect('/redirect?url=https%3A%2F%2Ft.example.com%2Fclick%3Fu%3Dhttps%253A%252F%252Fjobs.acme.com%252F7', 'https://www.jobberman.com/listings/x'),
+    'https://jobs.acme.com/7',
+  );
+  assert.equal(unwrapRedirect('/apply/x?source=search', 'https://www.jobberman.com/listings/x'), 'https://www.jobberman.com/apply/x?source=search');
+  assert.equal(unwrapRedirect('', 'https://www.jobberman.com/'), null);
+});
+
+test('listing cards carry the Easy Apply and Featured badges', () => {
+  const seeds = collectListingSeeds(loadFixture('listing.html'), LISTING_URL);
+  const engineer = seeds.get('https://www.jobberman.com/listings/software-engineer-abc123');
+  assert.equal(engineer.apply_type, 'easy_apply');
+  assert.equal(engineer.is_featured, false);
+  const accountant = seeds.get('https://www.jobberman.com/listings/accountant-xyz789');
+  assert.equal(accountant.apply_type, null);
+  assert.equal(accountant.is_featured, true);
+});
+
+test('detail page with an external apply link behind a redirect and an application email', () => {
+  const url = 'https://www.jobberman.com/listings/logistics-coordinator-p7';
+  const item = extractFromDetail({ request: fakeRequest(url), $: loadFixture('detail-apply.html'), now: FIXED_NOW });
+  assert.equal(item.apply_type, 'external');
+  assert.equal(item.apply_url, 'https://careers.swifthaulage.ng/jobs/42?ref=jobberman');
+  // The site's own support address in the header is ignored
+  assert.equal(item.apply_email, 'careers@swifthaulage.ng');
+  // Badges of the similar-jobs cards do not belong to this job
+  assert.equal(item.is_featured, false);
+});
+
+test('only a badge in the job header marks a detail page featured, not related-job cards or widgets', () => {
+  const url = 'https://www.jobberman.com/listings/driver-x';
+  const related = `<div class="job-description"><p>Drive the staff bus between the offices every day.</p></div>
+    <div class="related-jobs"><div class="job-card"><a href="/listings/rider-k2">Dispatch Rider</a><span>Featured</span></div></div>
+    <div class="widget"><small>Sponsored</small><p>Upgrade your CV</p></div>`;
+  const plain = extractFromDetail({ request: fakeRequest(url), $: cheerioLoad(`<article><h1>Driver</h1><h2>Acme Ltd</h2>${related}</article>`), now: FIXED_NOW });
+  assert.equal(plain.is_featured, false);
+
+  const badged = extractFromDetail({
+    request: fakeRequest(url),
+    $: cheerioLoad(`<article><h1>Driver</h1><div class="job-meta"><a href="/jobs?location=lagos">Lagos</a><span>Top job</span></div>${related}</article>`),
+    now: FIXED_NOW,
+  });
+  assert.equal(badged.is_featured, true);
+  const headed = extractFromDetail({
+    request: fakeRequest(url),
+    $: cheerioLoad(`<article><div class="job-header"><h1>Driver</h1><span class="badge">Premium</span></div>${related}</article>`),
+    now: FIXED_NOW,
+  });
+  assert.equal(headed.is_featured, true);
+});
+
+test('detail page applications by email, on the site and from the card seed', () => {
+  const url = 'https://www.jobberman.com/listings/x';
+  const $email = cheerioLoad('<article><h1>Driver</h1><p>Send your CV and cover letter to <a href="mailto:hr@acme.ng?subject=Driver">HR</a>.</p></article>');
+  assert.deepEqual(extractApplication($email, $email('article'), url), { apply_type: 'email', apply_url: null, apply_email: 'hr@acme.ng', is_featured: false });
+
+  const $onSite = cheerioLoad('<article><h1>Driver</h1><a href="/apply/driver-x">Apply for this job</a></article>');
+  assert.deepEqual(extractApplication($onSite, $onSite('article'), url), { apply_type: 'easy_apply', apply_url: 'https://www.jobberman.com/apply/driver-x', apply_email: null, is_featured: false });
+
+  const item = extractFromDetail({
+    request: fakeRequest(url, { title: 'Driver', apply_type: 'easy_apply', is_featured: true }),
+    $: cheerioLoad('<article><h1>Driver</h1><div class="job-description"><p>Drive the staff bus.</p></div></article>'),
+    now: FIXED_NOW,
+  });
+  assert.equal(item.apply_type, 'easy_apply');
+  assert.equal(item.is_featured, true);
+});
+
+test('JSON-LD directApply marks an on-site application', () => {
+  const item = extractFromDetail({ request: fakeRequest('https://www.jobberman.com/listings/senior-backend-engineer'), $: loadFixture('detail-jsonld.html'), now: FIXED_NOW });
+  assert.equal(item.apply_type, 'easy_apply');
+  assert.equal(item.apply_email, null);
+});
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { load as cheerioLoad } from 'cheerio';
+import { detectBlock, createRateController } from '../src/blocking.js';
+import { loadFixture } from './helpers.js';
+
+test('detectBlock recognises challenge, captcha, denied and consent pages', () => {
+  const page = (html) => cheerioLoad(html);
+  assert.equal(detectBlock({ statusCode: 403, $: page('<title>Just a moment...</title><form id="challenge-form"></form>') }), 'cloudflare-challenge');
+  assert.equal(detectBlock({ statusCode: 200, $: page('<title>Security check</title><div class="g-recaptcha"></div>') }), 'captcha');
+  assert.equal(detectBlock({ statusCode: 200, $: page('<title>Jobberman</title><h1>Access denied</h1><p>Your IP was flagged.</p>') }), 'access-denied');
+  assert.equal(detectBlock({ statusCode: 200, $: page('<p>Before you continue to Jobberman</p><form action="/consent/save"><button>Accept all</button></form>') }), 'consent-wall');
+  assert.equal(detectBlock({ statusCode: 429, $: page('<p>Slow down</p>') }), 'http-429');
+  assert.equal(detectBlock({ statusCode: 403 }), 'http-403');
+});
+
+test('detectBlock leaves real pages alone, even with a consent banner or captcha form', () => {
+  assert.equal(detectBlock({ statusCode: 200, $: loadFixture('listing.html') }), null);
+  assert.equal(detectBlock({ statusCode: 200, $: loadFixture('detail-jsonld.html') }), null);
+  const $ = loadFixture('detail-no-jsonld.html');
+  $('body').append('<div id="onetrust-consent-sdk">We value your privacy</div><form action="/apply"><div class="g-recaptcha"></div></form>');
+  assert.equal(detectBlock({ statusCode: 200, $ }), null);
+  assert.equal(detectBlock({ statusCode: 404, $: cheerioLoad('<h1>Page not found</h1>') }), null);
+});
+
+test('rate controller halves the pace on blocks and recovers after a healthy streak', () => {
+  const rate = createRateController({ maxConcurrency: 20, maxRequestsPerMinute: 120, minConcurrency: 1, minRequestsPerMinute: 10, healthyStreak: 3 });
+  assert.deepEqual(rate.onBlock(), { concurrency: 10, rpm: 60 });
+  assert.deepEqual(rate.onBlock(), { concurrency: 5, rpm: 30 });
+  for (let i = 0; i < 5; i++) rate.onBlock();
+  assert.deepEqual(rate.current(), { concurrency: 1, rpm: 10 });
+  assert.equal(rate.onBlock(), null);
+
+  assert.equal(rate.onSuccess(), null);
+  assert.equal(rate.onSuccess(), null);
+  assert.deepEqual(rate.onSuccess(), { concurrency: 2, rpm: 15 });
+  for (let i = 0; i < 30; i++) rate.onSuccess();
+  assert.deepEqual(rate.current(), { concurrency: 20, rpm: 120 });
+  assert.equal(rate.slowdowns(), 8);
+});
+
+test('rate controller spaces request starts to the current rate', async () => {
+  let clock = 0;
+  const waits = [];
+  const rate = createRateController({ maxRequestsPerMinute: 60, now: () => clock, delay: async (ms) => { waits.push(ms); } });
+  await rate.wait();
+  await rate.wait();
+  await rate.wait();
+  assert.deepEqual(waits, [1000, 2000]);
+  clock = 10_000;
+  await rate.wait();
+  assert.deepEqual(waits, [1000, 2000]);
+});
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCliArgs } from '../src/cli-args.js';
+
+test('parseCliArgs coerces flags by their input schema type', () => {
+  const { input, output } = parseCliArgs([
+    '--keyword', 'data analyst', '--results_wanted', '20', '--collectDetails', 'false',
+    '--minSalary=150000', '--incremental', '--output', 'jobs.jsonl',
+  ]);
+  assert.deepEqual(input, {
+    keyword: 'data analyst', results_wanted: 20, collectDetails: false, minSalary: 150000, incremental: true,
+  });
+  assert.equal(output, 'jobs.jsonl');
+});
+
+test('parseCliArgs accepts kebab-case flag names', () => {
+  const { input } = parseCliArgs(['--results-wanted', '5', '--collect-details', 'no', '--posted-date', '7d']);
+  assert.deepEqual(input, { results_wanted: 5, collectDetails: false, posted_date: '7d' });
+});
+
+test('parseCliArgs builds arrays from repeated, comma-separated and JSON values', () => {
+  const { input } = parseCliArgs([
+    '--jobTypes', 'Full Time', '--jobTypes', 'Contract,Internship',
+    '--startUrls', 'https://www.jobberman.com/jobs?q=a,https://www.jobberman.com/jobs?q=b',
+    '--searches', '[{"keyword":"driver","location":"Abuja"}]',
+  ]);
+  assert.deepEqual(input.jobTypes, ['Full Time', 'Contract', 'Internship']);
+  assert.deepEqual(input.startUrls, [{ url: 'https://www.jobberman.com/jobs?q=a' }, { url: 'https://www.jobberman.com/jobs?q=b' }]);
+  assert.deepEqual(input.searches, [{ keyword: 'driver', location: 'Abuja' }]);
+});
+
+test('parseCliArgs merges the input file, flags and proxy lists', () => {
+  const files = {
+    'input.json': JSON.stringify({ keyword: 'nurse', results_wanted: 50, country: 'ghana' }),
+    'proxies.txt': '# office proxies\nhttp://p1:8000\n\nhttp://p2:8000\r\n',
+  };
+  const { input } = parseCliArgs(
+    ['--input', 'input.json', '--results_wanted', '10', '--proxy', 'http://p0:8000', '--proxy-file', 'proxies.txt'],
+    { readFile: (p) => files[p] },
+  );
+  assert.deepEqual(input, {
+    keyword: 'nurse', results_wanted: 10, country: 'ghana', proxyUrls: ['http://p0:8000', 'http://p1:8000', 'http://p2:8000'],
+  });
+});
+
+test('parseCliArgs rejects unknown flags and malformed values', () => {
+  assert.throws(() => parseCliArgs(['--nope', '1']), /Unknown option --nope/);
+  assert.throws(() => parseCliArgs(['--results_wanted', 'ten']), /expects an integer/);
+  assert.throws(() => parseCliArgs(['--collectDetails', 'maybe']), /expects true or false/);
+  assert.throws(() => parseCliArgs(['--searches', '[{']), /expects JSON/);
+  assert.throws(() => parseCliArgs(['--keyword']), /needs a value/);
+  assert.equal(parseCliArgs(['--help']).help, true);
+});
@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { collectListingSeeds, extractFromDetail, companyIdFromUrl, normalizeCompanyUrl } from '../src/extractors.js';
+import { extractCompanyProfile } from '../src/companies.js';
+import { FIXED_NOW, fakeRequest, loadFixture } from './helpers.js';
+
+test('company URLs are normalized and keyed by their slug', () => {
+  assert.equal(normalizeCompanyUrl('/company/Acme-Ltd/?ref=card', 'https://www.jobberman.com/jobs'), 'https://www.jobberman.com/company/Acme-Ltd');
+  assert.equal(companyIdFromUrl('https://www.jobberman.com/company/Acme-Ltd'), 'acme-ltd');
+  assert.equal(normalizeCompanyUrl('https://www.linkedin.com/company/acme', 'https://www.jobberman.com/jobs'), null);
+  assert.equal(normalizeCompanyUrl('/jobs?company=acme', 'https://www.jobberman.com/jobs'), null);
+});
+
+test('listing cards carry the company link and logo', () => {
+  const seeds = collectListingSeeds(loadFixture('listing.html'), 'https://www.jobberman.com/jobs?q=software+engineer&l=Lagos');
+  const seed = seeds.get('https://www.jobberman.com/listings/software-engineer-abc123');
+  assert.equal(seed.company, 'Acme Technologies Ltd');
+  assert.equal(seed.company_url, 'https://www.jobberman.com/company/Acme-Technologies-Ltd');
+  assert.equal(seed.company_id, 'acme-technologies-ltd');
+  assert.equal(seed.company_logo, 'https://cdn.jobberman.com/logos/acme.png');
+  const bare = seeds.get('https://www.jobberman.com/listings/accountant-xyz789');
+  assert.deepEqual([bare.company_url, bare.company_id, bare.company_logo], [null, null, null]);
+});
+
+test('detail pages take the company page and logo from JSON-LD hiringOrganization', () => {
+  const item = extractFromDetail({
+    request: fakeRequest('https://www.jobberman.com/listings/senior-backend-engineer-p4y5t4'),
+    $: loadFixture('detail-jsonld.html'),
+    now: FIXED_NOW,
+  });
+  assert.equal(item.company_url, 'https://www.jobberman.com/company/paystack');
+  assert.equal(item.company_id, 'paystack');
+  assert.equal(item.company_logo, 'https://www.jobberman.com/images/companies/paystack.png');
+});
+
+test('detail pages fall back to the card seed for company fields', () => {
+  const request = fakeRequest('https://www.jobberman.com/listings/customer-service-representative-c5r7', {
+    company_url: 'https://www.jobberman.com/company/sunrise-retail', company_id: 'sunrise-retail', company_logo: null,
+  });
+  const item = extractFromDetail({ request, $: loadFixture('detail-no-jsonld.html'), now: FIXED_NOW });
+  assert.equal(item.company_id, 'sunrise-retail');
+  assert.equal(item.company_logo, null);
+});
+
+test('extractCompanyProfile reads JSON-LD, labeled facts and open jobs', () => {
+  const company = extractCompanyProfile({
+    request: fakeRequest('https://www.jobberman.com/company/paystack'),
+    $: loadFixture('company.html'),
+    now: FIXED_NOW,
+  });
+  assert.deepEqual(company, {
+    company_id: 'paystack',
+    company_url: 'https://www.jobberman.com/company/paystack',
+    name: 'Paystack',
+    industry: 'IT & Telecoms',
+    size: '201 - 500',
+    location: 'Lagos',
+    founded: null,
+    website: 'https://paystack.com',
+    logo: 'https://www.jobberman.com/images/companies/paystack.png',
+    description: 'Paystack helps businesses in Africa get paid by anyone, anywhere in the world.',
+    open_jobs_count: 2,
+    open_jobs: [
+      'https://www.jobberman.com/listings/senior-backend-engineer-p4y5t4',
+      'https://www.jobberman.com/listings/product-designer-d3s1gn',
+    ],
+    country: 'Nigeria',
+    _source: 'jobberman.com',
+    scraped_at: FIXED_NOW.toISOString(),
+  });
+});
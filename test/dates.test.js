@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeDatePosted, isWithinPostedDate } from '../src/extractors.js';
+import { FIXED_NOW } from './helpers.js';
+
+test('normalizeDatePosted resolves relative dates against the scrape time', () => {
+  assert.equal(normalizeDatePosted('3 days ago', FIXED_NOW), '2026-10-16T12:00:00.000Z');
+  assert.equal(normalizeDatePosted('an hour ago', FIXED_NOW), '2026-10-19T11:00:00.000Z');
+  assert.equal(normalizeDatePosted('2 weeks ago', FIXED_NOW), '2026-10-05T12:00:00.000Z');
+  assert.equal(normalizeDatePosted('1 month ago', FIXED_NOW), '2026-09-19T12:00:00.000Z');
+  assert.equal(normalizeDatePosted('Today', FIXED_NOW), '2026-10-19T12:00:00.000Z');
+  assert.equal(normalizeDatePosted('New', FIXED_NOW), '2026-10-19T12:00:00.000Z');
+  assert.equal(normalizeDatePosted('Yesterday', FIXED_NOW), '2026-10-18T12:00:00.000Z');
+});
+
+test('normalizeDatePosted converts absolute dates to UTC', () => {
+  assert.equal(normalizeDatePosted('2024-05-01', FIXED_NOW), '2024-05-01T00:00:00.000Z');
+  assert.equal(normalizeDatePosted('2024-05-01T10:00:00+01:00', FIXED_NOW), '2024-05-01T09:00:00.000Z');
+  assert.equal(normalizeDatePosted('sometime soon', FIXED_NOW), null);
+  assert.equal(normalizeDatePosted('', FIXED_NOW), null);
+});
+
+test('isWithinPostedDate keeps undated jobs and allows a day of slack', () => {
+  assert.equal(isWithinPostedDate('2026-10-13T00:00:00.000Z', '7d', FIXED_NOW), true);
+  assert.equal(isWithinPostedDate('2026-10-10T00:00:00.000Z', '7d', FIXED_NOW), false);
+  assert.equal(isWithinPostedDate(null, '24h', FIXED_NOW), true);
+  assert.equal(isWithinPostedDate('2020-01-01T00:00:00.000Z', 'anytime', FIXED_NOW), true);
+});
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractFromDetail } from '../src/extractors.js';
+import { classifyHeading, splitDescriptionSections, descriptionToMarkdown } from '../src/description.js';
+import { FIXED_NOW, fakeRequest, loadFixture } from './helpers.js';
+
+const sectionsItem = () => extractFromDetail({
+  request: fakeRequest('https://www.jobberman.com/listings/finance-officer-g7f2'),
+  $: loadFixture('detail-sections.html'),
+  now: FIXED_NOW,
+});
+
+test('classifyHeading recognises common section titles', () => {
+  assert.equal(classifyHeading('Key Responsibilities:'), 'responsibilities');
+  assert.equal(classifyHeading('Duties'), 'responsibilities');
+  assert.equal(classifyHeading('Qualifications & Experience'), 'requirements');
+  assert.equal(classifyHeading("What we're looking for"), 'requirements');
+  assert.equal(classifyHeading('Perks'), 'benefits');
+  assert.equal(classifyHeading('About Us'), 'about_company');
+  assert.equal(classifyHeading('About the role'), null);
+  assert.equal(classifyHeading('Job Summary'), null);
+});
+
+test('detail descriptions are split by headings, bold lines and colon lines', () => {
+  const item = sectionsItem();
+  assert.deepEqual(item.responsibilities, [
+    'Prepare monthly management accounts',
+    'Reconcile branch cash and bank balances',
+    'Escalate unreconciled items within 48 hours',
+  ]);
+  assert.deepEqual(item.requirements, [
+    'B.Sc. in Accounting or Finance',
+    'ICAN or ACCA certification',
+    '3 years of banking experience',
+  ]);
+  assert.deepEqual(item.benefits, ['HMO for you and your family', 'Pension and annual bonus']);
+  assert.equal(item.about_company, 'Greenfield Microfinance Bank serves small traders in the FCT.\n\nVisit our page to learn more.');
+  // The original fields are unchanged
+  assert.match(item.description_text, /^Job Summary Greenfield is looking/);
+});
+
+test('descriptions without recognised sections leave them empty', () => {
+  assert.deepEqual(splitDescriptionSections('<p>Sell things.</p><ul><li>Meet targets</li></ul>'), {
+    responsibilities: [], requirements: [], benefits: [], about_company: '',
+  });
+  assert.deepEqual(splitDescriptionSections(''), splitDescriptionSections(null));
+});
+
+test('descriptionToMarkdown renders headings, emphasis, links and nested lists', () => {
+  const md = sectionsItem().description_markdown;
+  assert.equal(md, [
+    '### Job Summary',
+    'Greenfield is looking for a Finance Officer to keep our books and reports in order across 12 branches.',
+    '**Responsibilities**',
+    '- Prepare monthly management accounts\n- Reconcile branch cash and bank balances\n   - Escalate unreconciled items within 48 hours',
+    'Requirements:  \n• B.Sc. in Accounting or Finance  \n• ICAN or ACCA certification  \n• 3 years of banking experience',
+    '#### What We Offer',
+    '1. HMO for you and your family\n2. Pension and annual bonus',
+    '### About the Company',
+    'Greenfield Microfinance Bank serves _small traders_ in the FCT.',
+    'Visit [our page](https://www.jobberman.com/company/greenfield) to learn more.',
+  ].join('\n\n'));
+});
+
+test('descriptionToMarkdown escapes Markdown characters in text', () => {
+  assert.equal(descriptionToMarkdown('<p>Use *stars* and snake_case [sic]</p>'), 'Use \\*stars\\* and snake\\_case \\[sic\\]');
+  assert.equal(descriptionToMarkdown(''), '');
+});
@@ -0,0 +1,130 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { load as cheerioLoad } from 'cheerio';
+import { extractFromDetail, parseJsonLdJob, enrichFromJsonLd, needsBrowserFallback } from '../src/extractors.js';
+import { FIXED_NOW, fakeRequest, loadFixture } from './helpers.js';
+
+test('detail page with JSON-LD', () => {
+  const $ = loadFixture('detail-jsonld.html');
+  const item = extractFromDetail({ request: fakeRequest('https://www.jobberman.com/listings/senior-backend-engineer-p4y5t4'), $, now: FIXED_NOW });
+  assert.equal(item.title, 'Senior Backend Engineer');
+  assert.equal(item.company, 'Paystack');
+  assert.equal(item.job_type, 'Full Time');
+  assert.equal(item.location, 'Lagos');
+  assert.equal(item.category, 'Software & Data');
+  assert.equal(item.salary_range, 'NGN 500,000 - NGN 800,000 per month');
+  assert.equal(item.salary_min, 500000);
+  assert.equal(item.salary_max, 800000);
+  assert.equal(item.salary_currency, 'NGN');
+  assert.equal(item.salary_period, 'monthly');
+  assert.equal(item.date_posted, '2026-10-12T09:30:00+01:00');
+  assert.equal(item.date_posted_iso, '2026-10-12T08:30:00.000Z');
+  assert.equal(item.valid_through, '2026-11-12T22:59:59.000Z');
+  assert.match(item.description_text, /^We are looking for a Senior Backend Engineer/);
+  assert.match(item.description_html, /<li>Mentor engineers<\/li>/);
+  assert.match(item.description_html, /<a href="https:\/\/www\.jobberman\.com\/apply\/senior-backend-engineer">Apply here<\/a>/);
+  assert.equal(item._source, 'jobberman.com');
+  assert.equal(item.country, 'Nigeria');
+});
+
+test('detail page with a JSON-LD @graph on a Ghana domain', () => {
+  const $ = loadFixture('detail-graph.html');
+  const item = extractFromDetail({ request: fakeRequest('https://www.jobberman.com.gh/listings/sales-executive-k8m2n1'), $, now: FIXED_NOW });
+  assert.equal(item.title, 'Sales Executive');
+  assert.equal(item.company, 'Kumasi Motors');
+  assert.equal(item.job_type, 'Part Time');
+  assert.equal(item.location, 'Kumasi, Ashanti, GH');
+  assert.equal(item.category, 'Automotive');
+  assert.equal(item.salary_range, 'GHS 3,500 per month');
+  assert.equal(item.salary_min, 3500);
+  assert.equal(item.salary_max, 3500);
+  assert.equal(item.salary_currency, 'GHS');
+  assert.equal(item.salary_period, 'monthly');
+  assert.equal(item.date_posted_iso, '2026-10-17T00:00:00.000Z');
+  assert.equal(item._source, 'jobberman.com.gh');
+  assert.equal(item.country, 'Ghana');
+});
+
+test('detail page without JSON-LD falls back to selectors', () => {
+  const $ = loadFixture('detail-no-jsonld.html');
+  const item = extractFromDetail({ request: fakeRequest('https://www.jobberman.com/listings/customer-service-representative-c5r7'), $, now: FIXED_NOW });
+  assert.equal(item.title, 'Customer Service Representative');
+  assert.equal(item.company, 'Sunrise Retail Ltd');
+  assert.equal(item.job_type, 'Full Time');
+  assert.equal(item.location, 'Ibadan');
+  assert.equal(item.category, 'Customer Service & Support');
+  assert.equal(item.salary_min, 80000);
+  assert.equal(item.salary_max, 120000);
+  assert.equal(item.salary_period, 'monthly');
+  assert.equal(item.date_posted, '2 days ago');
+  assert.equal(item.date_posted_iso, '2026-10-17T12:00:00.000Z');
+  assert.equal(item.valid_through, null);
+  assert.match(item.description_text, /handle walk-in customers/);
+});
+
+test('description HTML is sanitized', () => {
+  const $ = loadFixture('detail-no-jsonld.html');
+  const { description_html: html } = extractFromDetail({ request: fakeRequest('https://www.jobberman.com/listings/customer-service-representative-c5r7'), $, now: FIXED_NOW });
+  assert.ok(html.startsWith('<div><h3>Job Summary</h3><p>Sunrise Retail'));
+  assert.doesNotMatch(html, /style=|onclick=|data-track=/);
+  assert.doesNotMatch(html, /<img|<table|<td/);
+  // Disallowed containers keep their text
+  assert.match(html, /Shift: Mon - Sat/);
+});
+
+test('confidential salary is flagged, not parsed', () => {
+  const $ = loadFixture('detail-confidential.html');
+  const item = extractFromDetail({ request: fakeRequest('https://www.jobberman.com/listings/head-of-operations-h0p5'), $, now: FIXED_NOW });
+  assert.equal(item.title, 'Head of Operations');
+  assert.equal(item.location, 'Port Harcourt');
+  assert.equal(item.salary_range, 'Confidential');
+  assert.equal(item.salary_flag, 'Confidential');
+  assert.equal(item.salary_min, null);
+  assert.equal(item.salary_max, null);
+  assert.equal(item.date_posted_iso, '2026-10-18T08:00:00.000Z');
+});
+
+test('listing card seed fills gaps the detail page leaves', () => {
+  const $ = loadFixture('detail-graph.html');
+  $('script[type="application/ld+json"]').remove();
+  const seed = { title: 'Sales Executive', company: 'Kumasi Motors', location: 'Kumasi', salary_range: 'GHS 3,500', salary_min: 3500, salary_max: 3500, salary_currency: 'GHS', date_posted: 'Yesterday' };
+  const item = extractFromDetail({ request: fakeRequest('https://www.jobberman.com.gh/listings/sales-executive-k8m2n1', seed), $, now: FIXED_NOW });
+  assert.equal(item.company, 'Kumasi Motors');
+  assert.equal(item.location, 'Kumasi');
+  assert.equal(item.salary_min, 3500);
+  assert.equal(item.date_posted_iso, '2026-10-18T12:00:00.000Z');
+});
+
+test('a description saying "new" does not date the posting to the scrape', () => {
+  const $ = cheerioLoad(`<main><article><h1>Store Manager</h1><h2>Sunrise Retail</h2>
+    <div class="job-description"><p>Lead the team at our new Ibadan store. Today you will open it, New stock arrives weekly.</p></div>
+  </article></main>`);
+  const seed = { title: 'Store Manager', date_posted: '3 weeks ago' };
+  const item = extractFromDetail({ request: fakeRequest('https://www.jobberman.com/listings/store-manager-s1', seed), $, now: FIXED_NOW });
+  assert.equal(item.date_posted, '3 weeks ago');
+  assert.equal(item.date_posted_iso, '2026-09-28T12:00:00.000Z');
+
+  // On its own, in a date element, the word still counts
+  $('article').append('<span class="posted-date">New</span>');
+  assert.equal(extractFromDetail({ request: fakeRequest('https://www.jobberman.com/listings/store-manager-s1', seed), $, now: FIXED_NOW }).date_posted, 'New');
+});
+
+test('parseJsonLdJob ignores pages without a JobPosting', () => {
+  const $ = loadFixture('detail-no-jsonld.html');
+  assert.equal(parseJsonLdJob($), null);
+  assert.deepEqual(enrichFromJsonLd(null, { title: 'x' }, 'https://www.jobberman.com/'), { title: 'x' });
+});
+
+test('needsBrowserFallback flags pages without a usable title or description', () => {
+  const diagnostics = {};
+  const item = extractFromDetail({ request: fakeRequest('https://www.jobberman.com/listings/x'), $: loadFixture('detail-jsonld.html'), now: FIXED_NOW, diagnostics });
+  assert.equal(needsBrowserFallback(item, diagnostics), false);
+  // A shell page whose description is rendered client-side
+  const shell = cheerioLoad('<html><body><main><h1>Data Analyst</h1><div id="app" data-job-id="42"></div></main></body></html>');
+  const shellDiagnostics = {};
+  const shellItem = extractFromDetail({ request: fakeRequest('https://www.jobberman.com/listings/y'), $: shell, now: FIXED_NOW, diagnostics: shellDiagnostics });
+  assert.equal(needsBrowserFallback(shellItem, shellDiagnostics), true);
+  assert.equal(needsBrowserFallback({ ...item, title: '' }, diagnostics), true);
+  assert.equal(needsBrowserFallback(item, { description_source: 'heuristic' }), true);
+  assert.equal(needsBrowserFallback(item, diagnostics, 100_000), true);
+});
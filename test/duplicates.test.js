@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeCompany, normalizeTitle, estimateSimilarity, fingerprintJob, createDuplicateDetector } from '../src/duplicates.js';
+
+const DESCRIPTION = `We are looking for an experienced accountant to manage our general ledger, prepare monthly
+management accounts and statutory financial statements, reconcile bank and supplier accounts, handle VAT and
+withholding tax filings with FIRS, support the annual external audit and work closely with the operations team on
+budgets and cost control. Candidates need a B.Sc in Accounting, ICAN or ACCA membership and at least five years of
+experience in a manufacturing or FMCG company, plus strong Excel and Sage skills.`;
+
+const job = (url, overrides = {}) => ({
+  url,
+  title: 'Senior Accountant',
+  company: 'Acme Foods Limited',
+  location: 'Lagos',
+  description_text: DESCRIPTION,
+  ...overrides,
+});
+
+test('normalizeCompany drops legal suffixes and ignores anonymous employers', () => {
+  assert.equal(normalizeCompany('Acme Foods Limited'), 'acme foods');
+  assert.equal(normalizeCompany('ACME FOODS LTD.'), 'acme foods');
+  assert.equal(normalizeCompany('Confidential Employer'), '');
+  assert.equal(normalizeCompany(''), '');
+});
+
+test('normalizeTitle removes the location from the title', () => {
+  assert.equal(normalizeTitle('Senior Accountant - Abuja', 'Abuja, FCT'), 'senior accountant');
+  assert.equal(normalizeTitle('Sales Rep (Port Harcourt)', 'Port Harcourt'), 'sales rep');
+});
+
+test('MinHash similarity tracks how much of the text is shared', () => {
+  const a = fingerprintJob(job('a')).signature;
+  const same = fingerprintJob(job('b', { description_text: `${DESCRIPTION} Apply before Friday.` })).signature;
+  const other = fingerprintJob(job('c', { title: 'Driver', description_text: 'Drive the company bus between the depot and the head office every morning and keep the vehicle log book up to date at all times please.' })).signature;
+  assert.ok(estimateSimilarity(a, same) >= 0.8);
+  assert.ok(estimateSimilarity(a, other) < 0.2);
+});
+
+test('duplicate detector groups reposts under new URLs and in other cities', () => {
+  const detector = createDuplicateDetector();
+  const first = detector.register(job('https://www.jobberman.com/listings/senior-accountant-1'));
+  assert.equal(first.duplicate_of, null);
+  assert.match(first.duplicate_group, /^[0-9a-f]{12}$/);
+
+  const repost = detector.register(job('https://www.jobberman.com/listings/senior-accountant-2', {
+    title: 'Senior Accountant - Abuja', location: 'Abuja', company: 'ACME FOODS LTD',
+  }));
+  assert.deepEqual(repost, { duplicate_of: 'https://www.jobberman.com/listings/senior-accountant-1', duplicate_group: first.duplicate_group });
+
+  // Same text from another employer is a different job
+  const otherCompany = detector.register(job('https://www.jobberman.com/listings/senior-accountant-3', { company: 'Zenith Mills Plc' }));
+  assert.equal(otherCompany.duplicate_of, null);
+  assert.notEqual(otherCompany.duplicate_group, first.duplicate_group);
+});
+
+test('duplicate detector matches listing cards on title and company', () => {
+  const detector = createDuplicateDetector();
+  const card = (url, title, company = 'Acme Foods') => ({ url, title, company, location: '', description_text: '' });
+  detector.register(card('u1', 'Senior Accountant'));
+  assert.equal(detector.register(card('u2', 'Senior Accountant')).duplicate_of, 'u1');
+  assert.equal(detector.register(card('u3', 'Accountant')).duplicate_of, null);
+});
+
+test('duplicate detector threshold is configurable and its entries restore it', () => {
+  const strict = createDuplicateDetector({ threshold: 1 });
+  strict.register(job('u1'));
+  const reworded = job('u2', { description_text: DESCRIPTION.replace('five years', 'three years').replace('Sage', 'QuickBooks') });
+  assert.equal(strict.register(reworded).duplicate_of, null);
+
+  const restored = createDuplicateDetector({ entries: JSON.parse(JSON.stringify(strict.entries())) });
+  assert.equal(restored.register(job('u3')).duplicate_of, 'u1');
+});
@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { parseOutputFields, projectItem, buildDatasetSchema } from '../src/fields.js';
+import { toCsv, toJsonl } from '../src/exporters.js';
+
+const item = {
+  url: 'https://www.jobberman.com/listings/x',
+  title: 'Accountant, Senior',
+  company: 'Bright "BF" Finance',
+  salary_min: 150000,
+  description_html: '<p>Hi</p>',
+  search_queries: ['accountant in Lagos', 'finance'],
+};
+
+test('dataset schema is in sync with the field definitions', () => {
+  const committed = JSON.parse(readFileSync(new URL('../.actor/dataset_schema.json', import.meta.url), 'utf8'));
+  assert.deepEqual(committed, buildDatasetSchema(), 'run `npm run schema` after changing src/fields.js');
+});
+
+test('parseOutputFields accepts names, renames and objects', () => {
+  assert.equal(parseOutputFields([]), null);
+  assert.deepEqual(parseOutputFields(['title', 'salary_min: Min pay', { field: 'url', name: 'Link' }]), [
+    { key: 'title', name: 'title' },
+    { key: 'salary_min', name: 'Min pay' },
+    { key: 'url', name: 'Link' },
+  ]);
+  assert.throws(() => parseOutputFields(['title', 'salary']), /Unknown outputFields: salary\./);
+});
+
+test('projectItem picks, renames and orders fields', () => {
+  const spec = parseOutputFields(['url:Link', 'title', 'category', 'description_html']);
+  assert.deepEqual(projectItem(item, spec), { Link: item.url, title: item.title, category: null, description_html: '<p>Hi</p>' });
+  assert.deepEqual(Object.keys(projectItem(item, spec, { includeDescriptionHtml: false })), ['Link', 'title', 'category']);
+  assert.equal(projectItem(item, null, { includeDescriptionHtml: false }).description_html, undefined);
+  assert.equal(projectItem(item, null), item);
+});
+
+test('toCsv writes an Excel-friendly flat file', () => {
+  const csv = toCsv([item]);
+  assert.ok(csv.startsWith('\uFEFFtitle,company,salary_min,description_html,search_queries,url\r\n'));
+  assert.ok(csv.includes('"Accountant, Senior","Bright ""BF"" Finance",150000,<p>Hi</p>,accountant in Lagos; finance,https://'));
+  assert.equal(toCsv([{ a: 1 }], ['a', 'b']), '\uFEFFa,b\r\n1,\r\n');
+});
+
+test('toJsonl writes one JSON object per line', () => {
+  assert.equal(toJsonl([{ a: 1 }, { b: 2 }]), '{"a":1}\n{"b":2}\n');
+  assert.equal(toJsonl([]), '');
+});
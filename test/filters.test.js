@@ -0,0 +1,97 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compileMatcher, createItemFilter } from '../src/filters.js';
+
+const job = (overrides = {}) => ({
+  title: 'Senior Java Developer',
+  company: 'Acme Bank Plc',
+  job_type: 'Full Time',
+  category: 'Software & Data',
+  description_text: 'You will build payment services in Java and Kotlin.',
+  salary_min: 300000,
+  salary_max: 500000,
+  ...overrides,
+});
+
+test('compileMatcher matches whole words and accepts /regex/ entries', () => {
+  const word = compileMatcher('java', 'includeKeywords');
+  assert.ok(word.test('Senior JAVA developer'));
+  assert.ok(!word.test('JavaScript engineer'));
+  const re = compileMatcher('/data (analyst|engineer)/', 'includeKeywords');
+  assert.ok(re.test('Senior Data Engineer'));
+  const global = compileMatcher('/analyst/g', 'includeKeywords');
+  assert.ok(global.test('data analyst') && global.test('data analyst'), 'global flag must not make matching stateful');
+  assert.equal(compileMatcher('  ', 'x'), null);
+  assert.throws(() => compileMatcher('/(unclosed/', 'excludeKeywords'), /Invalid regular expression in excludeKeywords/);
+});
+
+test('createItemFilter reports the first rejecting rule and counts drops', () => {
+  const filter = createItemFilter({
+    includeKeywords: ['java'],
+    excludeKeywords: ['kotlin'],
+    companyBlocklist: ['/recruit/'],
+  });
+  assert.equal(filter.active, true);
+  assert.equal(filter.check(job()), 'exclude_keywords');
+  assert.equal(filter.check(job({ description_text: '' })), null);
+  assert.equal(filter.check(job({ title: 'Accountant', description_text: '' })), 'include_keywords');
+  assert.equal(filter.check(job({ description_text: '', company: 'Top Recruiters Ltd' })), 'company_blocklist');
+  assert.deepEqual(filter.dropped(), { exclude_keywords: 1, include_keywords: 1, company_blocklist: 1 });
+});
+
+test('job type, category and company allowlists compare loosely', () => {
+  const filter = createItemFilter({ jobTypes: ['full-time', 'Contract'], categories: ['software'], companyAllowlist: ['Acme Bank'] });
+  assert.equal(filter.check(job()), null);
+  assert.equal(filter.check(job({ job_type: 'Internship & Graduate' })), 'job_types');
+  assert.equal(filter.check(job({ category: 'Sales' })), 'categories');
+  assert.equal(filter.check(job({ company: 'Globex' })), 'company_allowlist');
+});
+
+test('minSalary uses the top of the range and keeps undisclosed salaries unless asked', () => {
+  const filter = createItemFilter({ minSalary: 400000 });
+  assert.equal(filter.check(job()), null);
+  assert.equal(filter.check(job({ salary_min: 100000, salary_max: 200000 })), 'min_salary');
+  assert.equal(filter.check(job({ salary_min: 450000, salary_max: null })), null);
+  assert.equal(filter.check(job({ salary_min: null, salary_max: null })), null);
+
+  const strict = createItemFilter({ excludeUndisclosedSalary: true });
+  assert.equal(strict.check(job({ salary_min: null, salary_max: null })), 'min_salary');
+  assert.equal(strict.check(job({ salary_min: null, salary_max: null }), { partial: true }), null);
+});
+
+test('partial listing seeds only face rules that can safely reject them', () => {
+  const filter = createItemFilter({ includeKeywords: ['java'], jobTypes: ['Contract'], excludeKeywords: ['intern'] });
+  const card = { title: 'Backend Engineer', job_type: 'Full Time' };
+  assert.equal(filter.check(card, { partial: true }), null);
+  assert.equal(filter.check({ title: 'Java Intern' }, { partial: true }), 'exclude_keywords');
+  assert.equal(filter.check(undefined, { partial: true }), null);
+  assert.equal(createItemFilter().active, false);
+});
+
+test('the location of a search is checked against the normalized location', () => {
+  const filter = createItemFilter();
+  const lagos = { location: 'Ikeja, Lagos', location_city: 'Ikeja', location_state: 'Lagos', location_country: 'Nigeria', work_mode: 'onsite' };
+  const abuja = { location: 'Abuja', location_city: 'Abuja', location_state: 'FCT', location_country: 'Nigeria', work_mode: 'onsite' };
+  assert.equal(filter.check(lagos, { location: 'Lagos', country: 'Nigeria' }), null);
+  assert.equal(filter.check(abuja, { location: 'Lagos', country: 'Nigeria' }), 'location');
+  assert.equal(filter.check(abuja), null);
+  assert.deepEqual(filter.dropped(), { location: 1 });
+});
+
+test('a strict location check drops jobs elsewhere, nearby places included, and keeps those it cannot place', () => {
+  const filter = createItemFilter();
+  const at = (location, place) => ({ location, location_country: 'Nigeria', work_mode: 'onsite', ...place });
+  const ikeja = at('Ikeja, Lagos', { location_city: 'Ikeja', location_state: 'Lagos' });
+  const lekki = at('Lekki Phase 1', { location_city: 'Lekki', location_state: 'Lagos' });
+  const ibadan = at('Ibadan, Oyo', { location_city: 'Ibadan', location_state: 'Oyo' });
+  const nationwide = at('Nationwide', {});
+  const remote = { location: 'Remote', location_country: 'Nigeria', work_mode: 'remote' };
+  const dropped = (query) => [ikeja, lekki, ibadan, nationwide, remote]
+    .filter((it) => filter.check(it, { location: query, country: 'Nigeria' }))
+    .map((it) => it.location);
+  assert.deepEqual(dropped('Lagos'), ['Ibadan, Oyo']);
+  assert.deepEqual(dropped('Ikeja'), ['Lekki Phase 1', 'Ibadan, Oyo']);
+  assert.deepEqual(dropped('Remote'), ['Ikeja, Lagos', 'Lekki Phase 1', 'Ibadan, Oyo', 'Nationwide']);
+  // Without a location to check (strictLocation off) nothing is dropped
+  assert.deepEqual(dropped(''), []);
+});
@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractFromDetail } from '../src/extractors.js';
+import { createHealthTracker, findHealthIssues, appendHealthHistory } from '../src/health.js';
+import { FIXED_NOW, fakeRequest, loadFixture } from './helpers.js';
+
+const detailDiagnostics = (fixture, url) => {
+  const diagnostics = {};
+  const item = extractFromDetail({ request: fakeRequest(url), $: loadFixture(fixture), now: FIXED_NOW, diagnostics });
+  return { item, diagnostics };
+};
+
+test('extractFromDetail reports matched selectors and description source', () => {
+  const { diagnostics } = detailDiagnostics('detail-no-jsonld.html', 'https://www.jobberman.com/listings/customer-service-representative-c5r7');
+  assert.equal(diagnostics.selectors.title, 'article h1');
+  assert.equal(diagnostics.selectors.location, 'article div a[href*="location" i]');
+  assert.equal(diagnostics.description_source, 'selector');
+  assert.equal(diagnostics.json_ld, false);
+
+  const withJsonLd = detailDiagnostics('detail-jsonld.html', 'https://www.jobberman.com/listings/senior-backend-engineer-p4y5t4').diagnostics;
+  assert.equal(withJsonLd.description_source, 'json_ld');
+  assert.equal(withJsonLd.json_ld, true);
+  assert.equal(withJsonLd.selectors.category, null);
+});
+
+test('health report aggregates fill rates, selectors and statuses', () => {
+  const health = createHealthTracker();
+  for (const fixture of ['detail-no-jsonld.html', 'detail-jsonld.html']) {
+    const { item, diagnostics } = detailDiagnostics(fixture, 'https://www.jobberman.com/listings/x');
+    health.recordDetail(diagnostics);
+    health.recordItem(item);
+  }
+  health.recordStatus(200);
+  health.recordStatus(200);
+  health.recordStatus(403);
+  health.recordListPage(0);
+  health.recordBlock('session_a', 'http-403');
+  health.recordBlock('session_a', 'cloudflare-challenge');
+  health.recordBlock('session_b', 'http-403');
+  const report = health.report();
+  assert.equal(report.items, 2);
+  assert.equal(report.fill_rates.title, 1);
+  assert.equal(report.json_ld_rate, 0.5);
+  assert.deepEqual(report.selector_hits.category, { 'article div a[href*="category" i]': 1, '(none)': 1 });
+  assert.deepEqual(report.description_sources, { selector: 1, json_ld: 1 });
+  assert.equal(report.description_heuristic_rate, 0);
+  assert.deepEqual(report.http_status, { 200: 2, 403: 1 });
+  assert.equal(report.list_pages_without_links, 1);
+  assert.deepEqual(report.blocks, {
+    total: 3,
+    by_reason: { 'http-403': 2, 'cloudflare-challenge': 1 },
+    by_session: { session_a: 2, session_b: 1 },
+  });
+});
+
+test('findHealthIssues flags fields that fall below the historical norm', () => {
+  const history = [
+    { fill_rates: { company: 0.9, location: 0.8 } },
+    { fill_rates: { company: 1, location: 0.6 } },
+  ];
+  const report = { items: 40, fill_rates: { company: 0.2, location: 0.5 } };
+  assert.deepEqual(findHealthIssues(report, history, 0.5), [{ field: 'company', fill_rate: 0.2, historical_fill_rate: 0.95 }]);
+  assert.deepEqual(findHealthIssues({ ...report, items: 2 }, history, 0.5), []);
+  assert.deepEqual(findHealthIssues(report, [], 0.5), []);
+});
+
+test('appendHealthHistory skips tiny runs and keeps a bounded window', () => {
+  const report = { generated_at: 'x', items: 10, fill_rates: { title: 1 } };
+  assert.equal(appendHealthHistory([], { ...report, items: 1 }).length, 0);
+  const long = Array.from({ length: 25 }, () => report);
+  assert.equal(appendHealthHistory(long, report).length, 20);
+});
@@ -0,0 +1,10 @@
+// Shared helpers for the offline extractor tests
+import { readFileSync } from 'node:fs';
+import { load as cheerioLoad } from 'cheerio';
+
+export const FIXED_NOW = new Date('2026-10-19T12:00:00.000Z');
+
+export const loadFixture = (name) => cheerioLoad(readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8'));
+
+// Minimal stand-in for a Crawlee request as seen by extractFromDetail
+export const fakeRequest = (url, seed) => ({ url, userData: seed ? { seed } : {} });
@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { hashJobSeed, createIncrementalTracker } from '../src/incremental.js';
+
+const A = 'https://www.jobberman.com/listings/accountant-a1';
+const B = 'https://www.jobberman.com/listings/engineer-b2';
+const C = 'https://www.jobberman.com/listings/driver-c3';
+const seedA = { title: 'Accountant', company: 'Bright Finance', location: 'Lagos', job_type: 'Full Time' };
+const EARLIER = '2026-10-01T00:00:00.000Z';
+const NOW = '2026-10-19T12:00:00.000Z';
+
+const seenBefore = () => ({
+  [A]: { first_seen: EARLIER, last_seen: EARLIER, hash: hashJobSeed(seedA), title: 'Accountant', company: 'Bright Finance', queries: ['accountant'] },
+  [B]: { first_seen: EARLIER, last_seen: EARLIER, hash: hashJobSeed({ title: 'Engineer' }), title: 'Engineer', company: '', queries: ['engineer'] },
+  [C]: { first_seen: EARLIER, last_seen: EARLIER, hash: hashJobSeed({ title: 'Driver' }), title: 'Driver', company: '', queries: ['accountant', 'driver'] },
+});
+
+test('hashJobSeed ignores case and spacing but not content', () => {
+  assert.equal(hashJobSeed(seedA), hashJobSeed({ ...seedA, title: '  ACCOUNTANT ', description: 'not hashed' }));
+  assert.notEqual(hashJobSeed(seedA), hashJobSeed({ ...seedA, location: 'Abuja' }));
+});
+
+test('classify tells new, changed and unchanged jobs apart and marks unchanged ones as seen', () => {
+  const tracker = createIncrementalTracker(seenBefore(), NOW);
+  assert.equal(tracker.classify('https://www.jobberman.com/listings/new-d4', { title: 'New' }, 'accountant'), 'new');
+  assert.equal(tracker.classify(B, { title: 'Senior Engineer' }, 'engineer'), 'changed');
+  assert.equal(tracker.seen[B].last_seen, EARLIER);
+  assert.equal(tracker.classify(A, { ...seedA }, 'finance'), 'unchanged');
+  assert.equal(tracker.seen[A].last_seen, NOW);
+  assert.deepEqual(tracker.seen[A].queries, ['accountant', 'finance']);
+  assert.deepEqual([...tracker.touched], [A]);
+});
+
+test('record keeps first_seen and merges the queries of a job saved again', () => {
+  const tracker = createIncrementalTracker(seenBefore(), NOW);
+  const entry = tracker.record(B, { title: 'Senior Engineer', company: 'Acme' }, 'backend');
+  assert.deepEqual(entry, { first_seen: EARLIER, last_seen: NOW, hash: hashJobSeed({ title: 'Senior Engineer', company: 'Acme' }), title: 'Senior Engineer', company: 'Acme', queries: ['engineer', 'backend'] });
+  const fresh = tracker.record('https://www.jobberman.com/listings/new-d4', { title: 'New' }, 'accountant');
+  assert.equal(fresh.first_seen, NOW);
+  assert.ok(tracker.touched.has(B));
+});
+
+test('takeExpired returns and forgets untouched jobs of fully paginated searches only', () => {
+  const tracker = createIncrementalTracker(seenBefore(), NOW);
+  tracker.classify(A, seedA, 'accountant');
+  const expired = tracker.takeExpired(new Set(['accountant']));
+  assert.deepEqual(expired.map((e) => e.url), [C]);
+  assert.deepEqual(Object.keys(tracker.seen).sort(), [A, B]);
+});
+
+test('jobs of a search that stopped on its budget do not expire', () => {
+  // Neither search was paginated to the end, so jobs it did not reach may still be listed
+  const tracker = createIncrementalTracker(seenBefore(), NOW);
+  assert.deepEqual(tracker.takeExpired(new Set()), []);
+  assert.equal(Object.keys(tracker.seen).length, 3);
+});
+
+test('jobs listed on a results page do not expire even when this run saved nothing for them', () => {
+  const tracker = createIncrementalTracker(seenBefore(), NOW);
+  tracker.listed(B);
+  tracker.listed('https://www.jobberman.com/listings/new-d4');
+  assert.deepEqual(tracker.takeExpired(new Set(['accountant', 'engineer', 'driver'])).map((e) => e.url), [A, C]);
+  assert.equal(tracker.seen[B].last_seen, NOW);
+  assert.equal(tracker.seen['https://www.jobberman.com/listings/new-d4'], undefined);
+});
+
+test('a resumed tracker keeps the run time and the jobs touched before the restart', () => {
+  const tracker = createIncrementalTracker(seenBefore(), NOW, new Set([C]));
+  assert.deepEqual(tracker.takeExpired(new Set(['accountant', 'driver'])).map((e) => e.url), [A]);
+  assert.equal(tracker.now, NOW);
+});
@@ -0,0 +1,97 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { load as cheerioLoad } from 'cheerio';
+import { collectJobLinks, collectListingSeeds, findNextUrl, readPagination, buildPageUrl, pageFromUrl } from '../src/extractors.js';
+import { loadFixture } from './helpers.js';
+
+const PAGE_URL = 'https://www.jobberman.com/jobs?q=software+engineer&l=Lagos';
+
+test('collectJobLinks returns absolute listing URLs without query strings', () => {
+  const $ = loadFixture('listing.html');
+  assert.deepEqual(collectJobLinks($, PAGE_URL), [
+    'https://www.jobberman.com/listings/software-engineer-abc123',
+    'https://www.jobberman.com/listings/accountant-xyz789',
+    'https://www.jobberman.com/listings/data-analyst-q1w2e3',
+  ]);
+});
+
+test('collectJobLinks returns nothing for a page without results', () => {
+  const $ = loadFixture('listing-empty.html');
+  assert.deepEqual(collectJobLinks($, PAGE_URL), []);
+});
+
+test('listing card with a salary range', () => {
+  const $ = loadFixture('listing.html');
+  const seed = collectListingSeeds($, PAGE_URL).get('https://www.jobberman.com/listings/software-engineer-abc123');
+  assert.equal(seed.title, 'Software Engineer');
+  assert.equal(seed.company, 'Acme Technologies Ltd');
+  assert.equal(seed.location, 'Lagos');
+  assert.equal(seed.job_type, 'Full Time');
+  assert.equal(seed.category, 'IT & Software');
+  assert.equal(seed.date_posted, '3 days ago');
+  assert.equal(seed.salary_range, 'NGN 150,000 - NGN 300,000 per month');
+  assert.equal(seed.salary_min, 150000);
+  assert.equal(seed.salary_max, 300000);
+  assert.equal(seed.salary_currency, 'NGN');
+  assert.equal(seed.salary_period, 'monthly');
+  assert.equal(seed.salary_flag, null);
+});
+
+test('listing card with a badge and a confidential salary', () => {
+  const $ = loadFixture('listing.html');
+  const seed = collectListingSeeds($, PAGE_URL).get('https://www.jobberman.com/listings/accountant-xyz789');
+  assert.equal(seed.title, 'Accountant');
+  assert.equal(seed.company, 'Bright Finance');
+  assert.equal(seed.location, 'Abuja');
+  assert.equal(seed.job_type, 'Contract');
+  assert.equal(seed.category, 'Accounting, Auditing & Finance');
+  assert.equal(seed.date_posted, 'New');
+  assert.equal(seed.salary_range, 'Confidential');
+  assert.equal(seed.salary_flag, 'Confidential');
+  assert.equal(seed.salary_min, null);
+  assert.equal(seed.salary_currency, null);
+});
+
+test('listing card with currency symbols and k suffixes', () => {
+  const $ = loadFixture('listing.html');
+  const seed = collectListingSeeds($, PAGE_URL).get('https://www.jobberman.com/listings/data-analyst-q1w2e3');
+  assert.equal(seed.location, 'Ikeja, Lagos');
+  assert.equal(seed.job_type, 'Part Time');
+  assert.equal(seed.salary_min, 90000);
+  assert.equal(seed.salary_max, 120000);
+  assert.equal(seed.salary_currency, 'NGN');
+  assert.equal(seed.salary_period, 'monthly');
+});
+
+test('listing card on a Ghana page with cedi symbols', () => {
+  const $ = loadFixture('listing.html');
+  $('.job-card__meta').first().text('Accra Full Time GH₵2,500 - GH₵4,000');
+  const seed = collectListingSeeds($, 'https://www.jobberman.com.gh/jobs', 'GHS').get('https://www.jobberman.com.gh/listings/software-engineer-abc123');
+  assert.equal(seed.location, 'Accra');
+  assert.equal(seed.salary_range, 'GHS 2,500 - GHS 4,000');
+  assert.equal(seed.salary_currency, 'GHS');
+  assert.equal(seed.salary_period, null);
+});
+
+test('findNextUrl follows the rel="next" link', () => {
+  const $ = loadFixture('listing.html');
+  assert.equal(findNextUrl($, PAGE_URL), 'https://www.jobberman.com/jobs?q=software+engineer&l=Lagos&page=2');
+});
+
+test('findNextUrl does not invent a page that is not linked', () => {
+  assert.equal(findNextUrl(cheerioLoad('<main><p>Only one page</p></main>'), PAGE_URL), null);
+});
+
+test('readPagination reads the result count and the page size', () => {
+  assert.deepEqual(readPagination(loadFixture('listing.html'), 3), { totalResults: 57, pageSize: 3, totalPages: 19 });
+  assert.deepEqual(readPagination(cheerioLoad('<main><p>1,204 jobs found</p></main>'), 20), { totalResults: 1204, pageSize: 20, totalPages: 61 });
+  assert.deepEqual(readPagination(cheerioLoad('<main><p>Page 1 of 7</p></main>'), 20), { totalResults: null, pageSize: 20, totalPages: 7 });
+  assert.deepEqual(readPagination(loadFixture('listing-empty.html'), 0), { totalResults: null, pageSize: null, totalPages: null });
+});
+
+test('page URLs are built on the search URL', () => {
+  assert.equal(buildPageUrl('https://www.jobberman.com/jobs?q=accountant', 3), 'https://www.jobberman.com/jobs?q=accountant&page=3');
+  assert.equal(buildPageUrl('https://www.jobberman.com/jobs?page=2&q=a', 5), 'https://www.jobberman.com/jobs?page=5&q=a');
+  assert.equal(pageFromUrl('https://www.jobberman.com/jobs?q=a&page=4'), 4);
+  assert.equal(pageFromUrl('https://www.jobberman.com/jobs'), 1);
+});
@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeLocation, createLocationMatcher } from '../src/locations.js';
+import { collectListingSeeds, extractFromDetail } from '../src/extractors.js';
+import { FIXED_NOW, fakeRequest, loadFixture } from './helpers.js';
+
+const place = (text, options = { country: 'Nigeria' }) => {
+  const { location_city, location_state, location_country } = normalizeLocation(text, options);
+  return [location_city, location_state, location_country];
+};
+
+test('normalizeLocation resolves the spellings of one place to the same state', () => {
+  assert.deepEqual(place('Lagos'), ['Lagos', 'Lagos', 'Nigeria']);
+  assert.deepEqual(place('Lagos, Nigeria'), ['Lagos', 'Lagos', 'Nigeria']);
+  assert.deepEqual(place('Ikeja, Lagos'), ['Ikeja', 'Lagos', 'Nigeria']);
+  assert.deepEqual(place('Lagos State'), [null, 'Lagos', 'Nigeria']);
+  assert.deepEqual(place('Garki, Abuja FCT'), ['Garki', 'FCT', 'Nigeria']);
+  assert.deepEqual(place('PH'), ['Port Harcourt', 'Rivers', 'Nigeria']);
+  assert.deepEqual(place('Kumasi', { country: 'Ghana' }), ['Kumasi', 'Ashanti', 'Ghana']);
+  // Outside the gazetteer: unknown on Nigerian sites, taken as written elsewhere
+  assert.deepEqual(place('Somewhere Else'), [null, null, 'Nigeria']);
+  assert.deepEqual(place('Nairobi, Kenya', { country: 'Kenya' }), ['Nairobi', null, 'Kenya']);
+});
+
+test('normalizeLocation only takes places abroad when the text names their country', () => {
+  assert.deepEqual(place('Central Area, Abuja'), ['Abuja', 'FCT', 'Nigeria']);
+  assert.deepEqual(place('Northern Nigeria'), [null, null, 'Nigeria']);
+  assert.deepEqual(place('Kumasi'), [null, null, 'Nigeria']);
+  assert.deepEqual(place('Tamale, Northern Ghana'), ['Tamale', 'Northern', 'Ghana']);
+  // A local place in a later part beats one abroad in an earlier part
+  assert.deepEqual(place('Central Region, Ghana or Abuja'), ['Abuja', 'FCT', 'Nigeria']);
+  assert.deepEqual(place('Tema', { country: 'Ghana' }), ['Tema', 'Greater Accra', 'Ghana']);
+});
+
+test('normalizeLocation derives the work mode from text and JSON-LD jobLocationType', () => {
+  assert.equal(normalizeLocation('Remote (Work from Home)', { country: 'Nigeria' }).work_mode, 'remote');
+  assert.deepEqual(place('Remote (Work from Home)'), [null, null, 'Nigeria']);
+  assert.equal(normalizeLocation('Hybrid - Lekki').work_mode, 'hybrid');
+  assert.equal(normalizeLocation('Lekki').work_mode, 'onsite');
+  assert.equal(normalizeLocation('Ikeja', { jobType: 'Remote' }).work_mode, 'remote');
+  assert.equal(normalizeLocation('', { jobLocationType: 'TELECOMMUTE' }).work_mode, 'remote');
+  assert.equal(normalizeLocation('').work_mode, null);
+});
+
+test('location matcher keeps a whole state for a state, and one city for a city', () => {
+  const job = (location) => ({ location, ...normalizeLocation(location, { country: 'Nigeria' }) });
+  const jobs = ['Ikeja, Lagos', 'Lagos', 'Abuja', 'Remote', ''].map(job);
+  const run = (query) => jobs.map(createLocationMatcher(query, { country: 'Nigeria' }));
+  assert.deepEqual(run('Lagos'), [true, true, false, undefined, undefined]);
+  assert.deepEqual(run('Lagos State'), [true, true, false, undefined, undefined]);
+  assert.deepEqual(run('Ikeja'), [true, undefined, false, undefined, undefined]);
+  assert.deepEqual(run('Abuja'), [false, false, true, undefined, undefined]);
+  assert.deepEqual(run('Remote'), [false, false, false, true, undefined]);
+  assert.deepEqual(run('Nigeria'), [true, true, true, true, undefined]);
+  assert.equal(createLocationMatcher(''), null);
+});
+
+test('listing seeds and detail pages carry the normalized location', () => {
+  const seeds = collectListingSeeds(loadFixture('listing.html'), 'https://www.jobberman.com/jobs?q=engineer');
+  const seed = seeds.get('https://www.jobberman.com/listings/data-analyst-q1w2e3');
+  assert.equal(seed.location_city, 'Ikeja');
+  assert.equal(seed.location_state, 'Lagos');
+  assert.equal(seed.work_mode, 'onsite');
+
+  const item = extractFromDetail({ request: fakeRequest('https://www.jobberman.com.gh/listings/sales-executive-k8m2n1'), $: loadFixture('detail-graph.html'), now: FIXED_NOW });
+  assert.deepEqual([item.location_city, item.location_state, item.location_country], ['Kumasi', 'Ashanti', 'Ghana']);
+});
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSearchMatches } from '../src/matches.js';
+
+const A = 'https://www.jobberman.com/listings/accountant-a1';
+const B = 'https://www.jobberman.com/listings/engineer-b2';
+
+test('a job listed by two searches is taken by the first and credited to both', () => {
+  const matches = createSearchMatches();
+  assert.equal(matches.credit(A, 'accountant'), false);
+  matches.take(A, 'accountant');
+  assert.equal(matches.credit(A, 'finance in Lagos'), true);
+  // Taking it again does not hand it to another search
+  matches.take(A, 'auditor');
+  assert.deepEqual(matches.queriesFor(A, 'auditor'), ['accountant', 'finance in Lagos']);
+  assert.deepEqual(matches.queriesFor(B, 'engineer'), ['engineer']);
+});
+
+test('lateMatches lists only the jobs credited to more queries after they were pushed', () => {
+  const matches = createSearchMatches();
+  matches.take(A, 'accountant');
+  matches.credit(A, 'finance');
+  matches.markPushed(A, matches.queriesFor(A, 'accountant').length);
+  matches.take(B, 'engineer');
+  matches.markPushed(B, 1);
+  assert.deepEqual(matches.lateMatches(), {});
+  matches.credit(B, 'backend');
+  matches.credit(B, 'engineer');
+  assert.deepEqual(matches.lateMatches(), { [B]: ['engineer', 'backend'] });
+});
+
+test('a resumed run keeps crediting the Maps of the saved crawl state', () => {
+  const queries = new Map([[A, new Set(['accountant'])]]);
+  const pushed = new Map([[A, 1]]);
+  const matches = createSearchMatches({ queries, pushed });
+  assert.equal(matches.credit(A, 'finance'), true);
+  assert.deepEqual([...queries.get(A)], ['accountant', 'finance']);
+  assert.deepEqual(matches.lateMatches(), { [A]: ['accountant', 'finance'] });
+});
+
+test('a released job passes to the next query that matched it, or back to the pool', () => {
+  const matches = createSearchMatches();
+  matches.take(A, 'accountant');
+  matches.credit(A, 'finance');
+  assert.deepEqual(matches.release(A, 'accountant'), ['finance']);
+  assert.deepEqual(matches.queriesFor(A, 'auditor'), ['finance']);
+  assert.deepEqual(matches.release(A, 'finance'), []);
+  // Nobody holds it now, so the next search to list it takes it
+  assert.equal(matches.credit(A, 'auditor'), false);
+  assert.deepEqual(matches.release(B, 'engineer'), []);
+});
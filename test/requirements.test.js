@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  extractFromDetail, normalizeExperienceLevel, normalizeEducationLevel, parseExperienceYears, parseSkills,
+} from '../src/extractors.js';
+import { FIXED_NOW, fakeRequest, loadFixture } from './helpers.js';
+
+const detail = (fixture, url) => extractFromDetail({ request: fakeRequest(url), $: loadFixture(fixture), now: FIXED_NOW });
+
+test('parseExperienceYears reads the minimum of a range', () => {
+  assert.equal(parseExperienceYears('3 years'), 3);
+  assert.equal(parseExperienceYears('2 - 5 yrs'), 2);
+  assert.equal(parseExperienceYears('5+ years of experience'), 5);
+  assert.equal(parseExperienceYears('18 months'), 1.5);
+  assert.equal(parseExperienceYears('No experience required'), 0);
+  assert.equal(parseExperienceYears('Mid level'), null);
+  assert.equal(parseExperienceYears(''), null);
+});
+
+test('experience and education levels normalize to stable slugs', () => {
+  assert.equal(normalizeExperienceLevel('Internship & Graduate'), 'internship-graduate');
+  assert.equal(normalizeExperienceLevel('Entry level'), 'entry-level');
+  assert.equal(normalizeExperienceLevel('Mid-Senior'), 'mid-level');
+  assert.equal(normalizeExperienceLevel('Senior level'), 'senior-level');
+  assert.equal(normalizeExperienceLevel('Executive level'), 'executive-level');
+  assert.equal(normalizeExperienceLevel('3 years'), null);
+
+  assert.equal(normalizeEducationLevel('Degree'), 'bachelor');
+  assert.equal(normalizeEducationLevel('B.Sc'), 'bachelor');
+  assert.equal(normalizeEducationLevel('HND/Degree'), 'hnd');
+  assert.equal(normalizeEducationLevel('MBA / MSc / MA'), 'master');
+  assert.equal(normalizeEducationLevel('PhD / Fellowship'), 'doctorate');
+  assert.equal(normalizeEducationLevel('Secondary School (SSCE)'), 'secondary');
+  assert.equal(normalizeEducationLevel('Others'), null);
+  // Mixed requirements keep the lowest level asked for
+  assert.equal(normalizeEducationLevel('B.Sc/M.Sc'), 'bachelor');
+  assert.equal(normalizeEducationLevel("Bachelor's or Master's degree"), 'bachelor');
+  assert.equal(normalizeEducationLevel('MBA preferred, BSc required'), 'bachelor');
+  assert.equal(normalizeEducationLevel('SSCE or Degree'), 'secondary');
+  assert.equal(normalizeEducationLevel("Master's degree"), 'master');
+  assert.equal(normalizeEducationLevel('Higher National Diploma'), 'hnd');
+  assert.equal(normalizeEducationLevel('Degree in a technical field'), 'bachelor');
+  assert.equal(normalizeEducationLevel('Chartered Accountant'), 'Chartered Accountant');
+});
+
+test('parseSkills splits strings, reads DefinedTerms and de-duplicates', () => {
+  assert.deepEqual(parseSkills('Go, PostgreSQL; Kubernetes, go'), ['Go', 'PostgreSQL', 'Kubernetes']);
+  assert.deepEqual(parseSkills(['Excel', { '@type': 'DefinedTerm', name: 'IFRS' }]), ['Excel', 'IFRS']);
+  assert.deepEqual(parseSkills(undefined), []);
+});
+
+test('JSON-LD requirements win over the page summary, which fills the gaps', () => {
+  const item = detail('detail-jsonld.html', 'https://www.jobberman.com/listings/senior-backend-engineer-p4y5t4');
+  assert.equal(item.experience_years_min, 5);
+  assert.equal(item.education_level, 'bachelor'); // the page says HND
+  assert.deepEqual(item.skills, ['Go', 'PostgreSQL', 'Kubernetes']);
+  assert.equal(item.experience_level, 'senior-level'); // only on the page
+});
+
+test('page summary definition lists are read when JSON-LD is missing', () => {
+  const item = detail('detail-sections.html', 'https://www.jobberman.com/listings/finance-officer-g7f2');
+  assert.equal(item.education_level, 'bachelor');
+  assert.equal(item.experience_level, 'mid-level');
+  assert.equal(item.experience_years_min, 3);
+  assert.deepEqual(item.skills, ['IFRS', 'Excel', 'Sage 300']);
+
+  const bare = detail('detail-no-jsonld.html', 'https://www.jobberman.com/listings/customer-service-representative-c5r7');
+  assert.deepEqual(
+    [bare.experience_years_min, bare.experience_level, bare.education_level, bare.skills],
+    [null, null, null, []],
+  );
+});
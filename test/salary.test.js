@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSalaryText, parseJsonLdSalary } from '../src/extractors.js';
+
+test('parseSalaryText reads ranges, currencies and periods', () => {
+  assert.deepEqual(parseSalaryText('NGN 150,000 - 300,000 per month'), {
+    salary_range: 'NGN 150,000 - NGN 300,000 per month',
+    salary_min: 150000,
+    salary_max: 300000,
+    salary_currency: 'NGN',
+    salary_period: 'monthly',
+    salary_flag: null,
+  });
+  assert.equal(parseSalaryText('Salary: 1.2m per annum').salary_min, 1200000);
+  assert.equal(parseSalaryText('Salary: 1.2m per annum').salary_period, 'annual');
+  assert.equal(parseSalaryText('USD 20/hr').salary_period, 'hourly');
+  assert.equal(parseSalaryText('KSh 50,000').salary_currency, 'KES');
+  assert.equal(parseSalaryText('5,000 - 8,000', 'GHS').salary_range, 'GHS 5,000 - GHS 8,000');
+});
+
+test('parseSalaryText keeps the period and only reads salary-sized numbers without a currency', () => {
+  assert.equal(parseSalaryText('GHS 2,000 per month').salary_range, 'GHS 2,000 per month');
+  assert.equal(parseSalaryText('₦1.5m yearly').salary_range, 'NGN 1,500,000 per year');
+  const notPay = parseSalaryText('Salary: 3 years experience');
+  assert.deepEqual([notPay.salary_min, notPay.salary_currency, notPay.salary_range], [null, null, 'Salary: 3 years experience']);
+  assert.equal(parseSalaryText('80k - 120k monthly').salary_min, 80000);
+  assert.equal(parseSalaryText('USD 20/hr').salary_min, 20);
+});
+
+test('parseSalaryText flags undisclosed salaries', () => {
+  assert.equal(parseSalaryText('Confidential').salary_flag, 'Confidential');
+  assert.equal(parseSalaryText('Negotiable').salary_range, 'Negotiable');
+  assert.equal(parseSalaryText('').salary_range, '');
+});
+
+test('parseJsonLdSalary handles nested and flat values', () => {
+  const nested = parseJsonLdSalary({ currency: 'NGN', value: { minValue: 150000, maxValue: 300000, unitText: 'MONTH' } });
+  assert.equal(nested.salary_range, 'NGN 150,000 - NGN 300,000 per month');
+  assert.equal(nested.salary_period, 'monthly');
+  const flat = parseJsonLdSalary({ currency: 'GHS', value: 5000, unitText: 'YEAR' });
+  assert.equal(flat.salary_min, 5000);
+  assert.equal(flat.salary_max, 5000);
+  assert.equal(flat.salary_period, 'annual');
+  assert.equal(parseJsonLdSalary({ value: { value: 90000 } }, 'KES').salary_currency, 'KES');
+});
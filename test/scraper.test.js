@@ -0,0 +1,234 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { once } from 'node:events';
+
+// Crawlee reads its configuration on first use, so storage is kept in memory before the scraper is loaded;
+// on disk, its request queues would also hold the test process open for a minute
+process.env.CRAWLEE_PERSIST_STORAGE = 'false';
+const { log, KeyValueStore, Configuration, EventType } = await import('crawlee');
+const { scrapeJobberman } = await import('../src/scraper.js');
+const { loadSnapshotArchive } = await import('../src/snapshots.js');
+log.setLevel(log.LEVELS.OFF);
+
+// Stand-in for the site: every request goes through it as the crawl's proxy, so the start URLs keep their
+// real host over plain http. `site.pages` maps path and query to a page, or to { status, body, delayMs, location },
+// and `failures` answers 500 to its first requests.
+const site = { pages: {}, requests: [] };
+let proxyUrl;
+let server;
+
+before(async () => {
+  server = createServer((req, res) => {
+    const { pathname, search } = new URL(req.url);
+    site.requests.push(pathname + search);
+    const page = site.pages[pathname + search] ?? { status: 404, body: '<h1>Page not found</h1>' };
+    const { status: ok = 200, body, delayMs = 0, location, failures = 0 } = typeof page === 'string' ? { body: page } : page;
+    const status = site.requests.filter((r) => r === pathname + search).length <= failures ? 500 : ok;
+    const headers = { 'content-type': 'text/html; charset=utf-8', ...(location && { location }) };
+    setTimeout(() => res.writeHead(status, headers).end(body), delayMs);
+  });
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  proxyUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  // The crawler's proxy agent keeps connections alive, which would hold the test process open
+  server.closeAllConnections();
+  server.close();
+});
+
+const BASE = 'http://www.jobberman.com';
+
+const listPage = (jobs, { from = 1, total = jobs.length } = {}) => `<html><head><title>Jobs | Jobberman</title></head><body><main>
+<p class="search-count">Showing ${from} - ${from + jobs.length - 1} of ${total} results</p>
+<section class="search-results">${jobs.map((j) => `
+<article class="job-card"><a href="/listings/${j.slug}">${j.title}</a><p>${j.company ?? 'Acme Ltd'}</p>
+<div class="job-card__meta">${j.location ?? 'Lagos'} Full Time</div><span>2 days ago</span></article>`).join('')}
+</section></main></body></html>`;
+
+const detailPage = (j) => `<html><head><title>${j.title} | Jobberman</title></head><body><main><article class="job__details">
+<h1>${j.title}</h1><h2>${j.company ?? 'Acme Ltd'}</h2>
+<div class="job-meta"><a href="/jobs?location=x">${j.location ?? 'Lagos'}</a><a href="/jobs?employment_type=full-time">Full Time</a></div>
+<div class="job-description"><p>${j.description ?? `We are hiring a ${j.title} to join a growing team, working with customers and colleagues across the business every day.`}</p></div>
+</article></main></body></html>`;
+
+// Serves a search of `jobs` at /jobs?q=<query>, `pageSize` per page, and every job's detail page
+const publishSearch = (query, jobs, { pageSize = jobs.length } = {}) => {
+  for (let from = 0; from < jobs.length; from += pageSize) {
+    const page = from / pageSize + 1;
+    site.pages[`/jobs?q=${query}${page > 1 ? `&page=${page}` : ''}`] = listPage(jobs.slice(from, from + pageSize), { from: from + 1, total: jobs.length });
+  }
+  for (const j of jobs) site.pages[`/listings/${j.slug}`] = detailPage(j);
+  return `${BASE}/jobs?q=${query}`;
+};
+
+const jobsNamed = (prefix, n, extra = {}) => Array.from({ length: n }, (_, i) => ({ slug: `${prefix}-${i + 1}`, title: `${prefix} job ${i + 1}`, ...extra }));
+
+const collect = async (options, runtime) => {
+  const out = [];
+  for await (const item of scrapeJobberman({ proxyUrls: [proxyUrl], healthThreshold: 0, ...options }, runtime)) out.push(item);
+  return out;
+};
+const urlsOf = (items) => items.map((it) => it.url).sort();
+
+test('the library can run the same search twice in one process', async () => {
+  const startUrl = publishSearch('twice', jobsNamed('twice', 3));
+  const first = await collect({ startUrls: [startUrl], results_wanted: 10 });
+  const second = await collect({ startUrls: [startUrl], results_wanted: 10 });
+  assert.deepEqual(urlsOf(first), [`${BASE}/listings/twice-1`, `${BASE}/listings/twice-2`, `${BASE}/listings/twice-3`]);
+  assert.deepEqual(urlsOf(second), urlsOf(first));
+  assert.deepEqual(second.map((it) => it.title).sort(), first.map((it) => it.title).sort());
+});
+
+test('a loop that stops early ends the crawl, and the next call starts from scratch', async () => {
+  const startUrl = publishSearch('early', jobsNamed('early', 3));
+  const taken = [];
+  for await (const item of scrapeJobberman({ startUrls: [startUrl], results_wanted: 10, proxyUrls: [proxyUrl], healthThreshold: 0 })) {
+    taken.push(item);
+    break;
+  }
+  assert.equal(taken.length, 1);
+  const again = await collect({ startUrls: [startUrl], results_wanted: 10 });
+  assert.equal(again.length, 3);
+});
+
+test('calls crawling side by side keep their own crawl state and their own jobs', async () => {
+  const left = publishSearch('left', jobsNamed('left', 2));
+  const right = publishSearch('right', jobsNamed('right', 3));
+  site.pages['/jobs?q=left'] = { body: site.pages['/jobs?q=left'], delayMs: 1500 };
+  site.pages['/jobs?q=right'] = { body: site.pages['/jobs?q=right'], delayMs: 1500 };
+  const runs = [collect({ startUrls: [left], results_wanted: 10 }), collect({ startUrls: [right], results_wanted: 10 })];
+  // Both are waiting for their first results page
+  await new Promise((resolve) => setTimeout(resolve, 700));
+  Configuration.getEventManager().emit(EventType.PERSIST_STATE, { isMigrating: false });
+  await new Promise((resolve) => setTimeout(resolve, 200));
+  const store = await KeyValueStore.open();
+  const states = [];
+  await store.forEachKey(async (key) => {
+    if (key.startsWith('CRAWL_STATE')) states.push(await store.getValue(key));
+  });
+  assert.equal(states.length, 2);
+  assert.notEqual(states[0].fingerprint, states[1].fingerprint);
+  const [leftItems, rightItems] = await Promise.all(runs);
+  assert.deepEqual(urlsOf(leftItems), [`${BASE}/listings/left-1`, `${BASE}/listings/left-2`]);
+  assert.deepEqual(urlsOf(rightItems), [`${BASE}/listings/right-1`, `${BASE}/listings/right-2`, `${BASE}/listings/right-3`]);
+});
+
+// Browser crawlers that never render anything: one cannot launch at all, the other fails every page
+class UnlaunchableBrowserCrawler {
+  async run() {
+    throw new Error("browserType.launch: Executable doesn't exist");
+  }
+}
+class FailingBrowserCrawler {
+  constructor(options) {
+    this.options = options;
+  }
+
+  async run(requests) {
+    for (const request of requests) await this.options.failedRequestHandler({ request, error: new Error('Navigation failed') });
+  }
+}
+
+for (const BrowserCrawler of [UnlaunchableBrowserCrawler, FailingBrowserCrawler]) {
+  test(`pages re-routed to a browser that cannot render them keep their HTTP parse (${BrowserCrawler.name})`, async () => {
+    const query = `browser-${BrowserCrawler.name}`;
+    // Descriptions this short look client-rendered, so both detail pages are re-routed
+    const startUrl = publishSearch(query, jobsNamed(query, 2, { description: 'Apply now.' }));
+    const items = await collect({ startUrls: [startUrl], results_wanted: 10, browserFallback: true, marketReport: true }, { browserCrawlerClass: BrowserCrawler });
+    assert.deepEqual(items.map((it) => it.title).sort(), [`${query} job 1`, `${query} job 2`]);
+    assert.ok(items.every((it) => it.status === 'open' && it.description_text === 'Apply now.'));
+    // The end-of-run steps still ran
+    assert.equal((await (await KeyValueStore.open()).getValue('MARKET_REPORT')).jobs, 2);
+  });
+}
+
+test('a search whose earlier page stopped on the budget is not exhausted when its last page finishes after it', async () => {
+  const jobs = jobsNamed('budget', 9);
+  const startUrl = publishSearch('budget', jobs, { pageSize: 3 });
+  // Page 2 comes back after page 3, stops on the budget and leaves two of its jobs unseen
+  site.pages['/jobs?q=budget&page=2'] = { body: site.pages['/jobs?q=budget&page=2'], delayMs: 1500 };
+  const stale = (j) => ({ first_seen: '2026-10-01T00:00:00.000Z', last_seen: '2026-10-01T00:00:00.000Z', hash: 'stale', title: j.title, company: 'Acme Ltd', queries: [startUrl] });
+  const seen = Object.fromEntries(jobs.slice(3, 6).map((j) => [`${BASE}/listings/${j.slug}`, stale(j)]));
+  const store = await KeyValueStore.open('budget-incremental');
+  await store.setValue('SEEN_JOBS', seen);
+
+  const items = await collect({ startUrls: [startUrl], results_wanted: 7, collectDetails: false, incremental: true, emitExpired: true, incrementalStoreName: 'budget-incremental' });
+  assert.deepEqual(site.requests.filter((r) => r.startsWith('/jobs?q=budget')).sort(), ['/jobs?q=budget', '/jobs?q=budget&page=2', '/jobs?q=budget&page=3']);
+  assert.deepEqual(items.filter((it) => it.change_type === 'expired'), []);
+  assert.equal(items.length, 7);
+  assert.deepEqual(Object.keys(await store.getValue('SEEN_JOBS')).filter((u) => seen[u]).sort(), Object.keys(seen).sort());
+});
+
+test('a job listed by two searches is output once and credited to both', async () => {
+  const shared = { slug: 'shared-1', title: 'Shared job' };
+  const first = publishSearch('first', [...jobsNamed('first', 2), shared]);
+  // Comes back after the first search has taken the shared job
+  const second = publishSearch('second', [shared, ...jobsNamed('second', 1)]);
+  site.pages['/jobs?q=second'] = { body: site.pages['/jobs?q=second'], delayMs: 1500 };
+  const items = await collect({ startUrls: [first, second], results_wanted: 10, collectDetails: false });
+  const sharedUrl = `${BASE}/listings/shared-1`;
+  assert.deepEqual(urlsOf(items), [`${BASE}/listings/first-1`, `${BASE}/listings/first-2`, `${BASE}/listings/second-1`, sharedUrl]);
+  assert.deepEqual(items.find((it) => it.url === sharedUrl).search_queries, [first]);
+  // Its item was out before the second search listed it
+  assert.deepEqual(await (await KeyValueStore.open()).getValue('SEARCH_MATCHES'), { [sharedUrl]: [first, second] });
+});
+
+test('job URLs given directly come out open, closed or unknown, and only open ones are filtered', async () => {
+  const open = [{ slug: 'direct-open', title: 'Open accountant' }, { slug: 'direct-driver', title: 'Delivery driver' }];
+  for (const j of open) site.pages[`/listings/${j.slug}`] = detailPage(j);
+  site.pages['/listings/direct-removed'] = { status: 404, body: '<h1>Page not found</h1>' };
+  site.pages['/listings/direct-gone'] = { status: 410, body: '' };
+  site.pages['/listings/direct-withdrawn'] = '<main><h1>Driver</h1><div class="alert">This job is no longer available.</div></main>';
+  // The site sends postings that were taken down back to the search
+  site.pages['/listings/direct-moved'] = { status: 302, body: '', location: `${BASE}/jobs?q=moved` };
+  site.pages['/jobs?q=moved'] = listPage([]);
+  site.pages['/listings/direct-blank'] = '<html><body><main></main></body></html>';
+  const slugs = ['direct-open', 'direct-driver', 'direct-removed', 'direct-gone', 'direct-withdrawn', 'direct-moved', 'direct-blank'];
+
+  const items = await collect({ jobUrls: slugs.map((slug) => `${BASE}/listings/${slug}`), excludeKeywords: ['driver'] });
+  const statusOf = Object.fromEntries(items.map((it) => [it.url.split('/').pop(), it.status]));
+  assert.deepEqual(statusOf, {
+    'direct-open': 'open', 'direct-removed': 'closed', 'direct-gone': 'closed', 'direct-withdrawn': 'closed', 'direct-moved': 'closed', 'direct-blank': 'unknown',
+  });
+  assert.ok(items.every((it) => it.search_query === 'jobUrls' && it.checked_at));
+  assert.equal(items.find((it) => it.status === 'open').title, 'Open accountant');
+  assert.ok(items.filter((it) => it.status !== 'open').every((it) => !it.title));
+});
+
+test('a loop that stops early still saves the index of the snapshots taken', async () => {
+  const startUrl = publishSearch('snapshot', jobsNamed('snapshot', 3));
+  for await (const item of scrapeJobberman({ startUrls: [startUrl], results_wanted: 10, collectDetails: false, saveSnapshots: true, snapshotStoreName: 'early-snapshots', proxyUrls: [proxyUrl], healthThreshold: 0 })) {
+    assert.ok(item.url);
+    break;
+  }
+  const archive = await loadSnapshotArchive(await KeyValueStore.open('early-snapshots'));
+  assert.deepEqual(archive.latest().map((e) => [e.url, e.label]), [[startUrl, 'LIST']]);
+});
+
+test('a job another search took and then dropped is not reported expired while it is still listed', async () => {
+  const shared = { slug: 'credited-1', title: 'Warehouse assistant', description: 'Move stock around the warehouse with a forklift, keep records and help the team with deliveries every day.' };
+  const taking = publishSearch('taking', [shared]);
+  const crediting = publishSearch('crediting', [shared]);
+  const sharedUrl = `${BASE}/listings/credited-1`;
+  const store = await KeyValueStore.open('credited-incremental');
+  await store.setValue('SEEN_JOBS', { [sharedUrl]: { first_seen: '2026-10-01T00:00:00.000Z', last_seen: '2026-10-01T00:00:00.000Z', hash: 'stale', title: shared.title, company: 'Acme Ltd', queries: [crediting] } });
+
+  // The first search takes the job and drops it on its description; the second only credits it
+  const items = await collect({ startUrls: [taking, crediting], results_wanted: 10, excludeKeywords: ['forklift'], incremental: true, emitExpired: true, incrementalStoreName: 'credited-incremental' });
+  assert.deepEqual(items, []);
+  assert.ok((await store.getValue('SEEN_JOBS'))[sharedUrl]);
+});
+
+test('a job whose page failed for the search that took it goes to the next search that listed it', async () => {
+  const shared = { slug: 'handed-1', title: 'Handed over job' };
+  const taking = publishSearch('handing', [shared]);
+  const crediting = publishSearch('receiving', [shared]);
+  // Every attempt of the first search fails (one try plus five retries); the second search fetches it again
+  site.pages['/listings/handed-1'] = { body: site.pages['/listings/handed-1'], failures: 6 };
+  const items = await collect({ startUrls: [taking, crediting], results_wanted: 10 });
+  assert.deepEqual(items.map((it) => [it.url, it.search_query]), [[`${BASE}/listings/handed-1`, crediting]]);
+  assert.equal(site.requests.filter((r) => r === '/listings/handed-1').length, 7);
+});
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { COUNTRIES, SEARCH_FACETS, resolveFacets, buildStartUrl } from '../src/sites.js';
+
+test('resolveFacets accepts labels or slugs and maps them to query params', () => {
+  assert.deepEqual(resolveFacets({
+    industry: 'IT & Telecoms',
+    jobFunction: 'software-data',
+    experienceLevel: 'Mid Level',
+    workType: 'remote',
+    employmentType: 'Full Time',
+  }), {
+    industry: 'it-telecoms',
+    job_category: 'software-data',
+    experience_level: 'mid-level',
+    work_type: 'remote',
+    employment_type: 'full-time',
+  });
+  assert.deepEqual(resolveFacets({}), {});
+});
+
+test('resolveFacets falls back per facet to later sources', () => {
+  const params = resolveFacets({ workType: 'Hybrid', industry: '' }, { workType: 'remote', industry: 'education' });
+  assert.deepEqual(params, { industry: 'education', work_type: 'hybrid' });
+});
+
+test('resolveFacets rejects unknown values with the supported list', () => {
+  assert.throws(() => resolveFacets({ workType: 'from the beach' }), (err) => {
+    assert.match(err.message, /Unknown workType "from the beach"/);
+    assert.match(err.message, /remote, hybrid, on-site/);
+    return true;
+  });
+});
+
+test('every facet label resolves to its own slug', () => {
+  for (const [key, { param, values }] of Object.entries(SEARCH_FACETS)) {
+    for (const [slug, label] of Object.entries(values)) {
+      assert.match(slug, /^[a-z0-9]+(-[a-z0-9]+)*$/);
+      assert.deepEqual(resolveFacets({ [key]: label }), { [param]: slug });
+    }
+  }
+});
+
+test('buildStartUrl adds facet params next to q, l and created_at', () => {
+  const url = new URL(buildStartUrl('accountant', 'Accra', '7d', COUNTRIES.ghana, { industry: 'banking-finance-insurance', work_type: 'on-site' }));
+  assert.equal(url.origin, 'https://www.jobberman.com.gh');
+  assert.equal(url.pathname, '/jobs');
+  assert.equal(url.searchParams.get('q'), 'accountant');
+  assert.equal(url.searchParams.get('l'), 'Accra');
+  assert.equal(url.searchParams.get('industry'), 'banking-finance-insurance');
+  assert.equal(url.searchParams.get('work_type'), 'on-site');
+});
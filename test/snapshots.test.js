@@ -0,0 +1,118 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { gunzipSync } from 'node:zlib';
+import { snapshotKey, snapshotIndexKey, createSnapshotArchive, loadSnapshotArchive } from '../src/snapshots.js';
+import { reparseSnapshots } from '../src/reparse.js';
+import { createItemFilter } from '../src/filters.js';
+import { COUNTRIES, DEFAULT_COUNTRY } from '../src/sites.js';
+import { FIXED_NOW } from './helpers.js';
+
+const fixtureHtml = (name) => readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+const PAGE_URL = 'https://www.jobberman.com/jobs?q=software+engineer&l=Lagos';
+const JOB_URL = 'https://www.jobberman.com/listings/senior-backend-engineer-p4y5t4';
+
+const memoryStore = () => {
+  const records = {};
+  const writes = [];
+  return { records, writes, setValue: async (key, value) => { records[key] = value; writes.push(key); }, getValue: async (key) => records[key] ?? null };
+};
+
+const collect = async (iterator) => {
+  const out = [];
+  for await (const item of iterator) out.push(item);
+  return out;
+};
+
+test('snapshotKey is a valid record key, per URL and fetch time', () => {
+  const key = snapshotKey(JOB_URL, FIXED_NOW);
+  assert.match(key, /^SNAPSHOT-[0-9a-f]{16}-\d+$/);
+  assert.notEqual(key, snapshotKey(JOB_URL, new Date(FIXED_NOW.getTime() + 1)));
+  assert.notEqual(key, snapshotKey(PAGE_URL, FIXED_NOW));
+});
+
+test('snapshot archive gzips pages, indexes them by URL and keeps the latest for re-parsing', async () => {
+  const store = memoryStore();
+  const archive = createSnapshotArchive({ store });
+  const first = await archive.save({ url: JOB_URL, html: '<h1>Old</h1>', label: 'DETAIL', fetchedAt: FIXED_NOW, meta: { status_code: 200 } });
+  await archive.save({ url: JOB_URL, html: '<h1>New</h1>', label: 'DETAIL', fetchedAt: new Date(FIXED_NOW.getTime() + 60_000) });
+  assert.equal(gunzipSync(store.records[first.key]).toString('utf8'), '<h1>Old</h1>');
+  assert.equal(store.records[snapshotIndexKey(JOB_URL)], undefined);
+
+  await archive.persist();
+  assert.equal(store.records[snapshotIndexKey(JOB_URL)][JOB_URL].length, 2);
+  assert.deepEqual(store.records[snapshotIndexKey(JOB_URL)][JOB_URL][0], { key: first.key, label: 'DETAIL', fetched_at: FIXED_NOW.toISOString(), status_code: 200 });
+
+  const reloaded = await loadSnapshotArchive(store);
+  assert.equal(reloaded.pages(), 1);
+  const [latest] = reloaded.latest();
+  assert.equal(latest.url, JOB_URL);
+  assert.equal(await reloaded.read(latest), '<h1>New</h1>');
+  assert.equal(await reloaded.read({ key: 'SNAPSHOT-gone' }), null);
+});
+
+test('the index is sharded by URL hash and a run only rewrites the shards it added to', async () => {
+  assert.match(snapshotIndexKey(JOB_URL), /^INDEX-[0-9a-f]{2}$/);
+  assert.notEqual(snapshotIndexKey(JOB_URL), snapshotIndexKey(PAGE_URL));
+  const store = memoryStore();
+  const firstRun = createSnapshotArchive({ store });
+  await firstRun.save({ url: PAGE_URL, html: '<p>List</p>', label: 'LIST', fetchedAt: FIXED_NOW });
+  await firstRun.save({ url: JOB_URL, html: '<h1>Old</h1>', label: 'DETAIL', fetchedAt: FIXED_NOW });
+  await firstRun.persist();
+
+  // The next run adds to the job's shard and leaves the other one alone
+  const nextRun = createSnapshotArchive({ store });
+  await nextRun.save({ url: JOB_URL, html: '<h1>New</h1>', label: 'DETAIL', fetchedAt: new Date(FIXED_NOW.getTime() + 60_000) });
+  store.writes.length = 0;
+  await nextRun.persist();
+  assert.deepEqual(store.writes, [snapshotIndexKey(JOB_URL)]);
+  assert.equal(store.records[snapshotIndexKey(JOB_URL)][JOB_URL].length, 2);
+  await nextRun.persist();
+  assert.equal(store.writes.length, 1);
+
+  const reloaded = await loadSnapshotArchive(store);
+  assert.deepEqual(reloaded.latest().map((e) => [e.url, e.label]), [[PAGE_URL, 'LIST'], [JOB_URL, 'DETAIL']]);
+});
+
+test('reparse rebuilds detail items from DETAIL snapshots only, dated to the snapshot', async () => {
+  const archive = createSnapshotArchive({ store: memoryStore() });
+  await archive.save({ url: PAGE_URL, html: fixtureHtml('listing.html'), label: 'LIST', fetchedAt: FIXED_NOW, meta: { search_query: 'software engineer in Lagos', page_no: 1, rank_offset: 0 } });
+  await archive.save({ url: JOB_URL, html: fixtureHtml('detail-jsonld.html'), label: 'DETAIL', fetchedAt: FIXED_NOW, meta: {
+    status_code: 200, search_query: 'software engineer in Lagos', search_queries: ['software engineer in Lagos', 'backend'], search_page: 2, search_rank: 25,
+  } });
+  await archive.save({ url: 'https://www.jobberman.com/listings/gone-abc', html: '<h1>This job is no longer available</h1>', label: 'DETAIL', fetchedAt: FIXED_NOW, meta: { status_code: 200 } });
+
+  const items = await collect(reparseSnapshots(archive, { country: COUNTRIES[DEFAULT_COUNTRY] }));
+  assert.equal(items.length, 1);
+  const [item] = items;
+  assert.equal(item.title, 'Senior Backend Engineer');
+  assert.equal(item.status, 'open');
+  assert.equal(item.scraped_at, FIXED_NOW.toISOString());
+  assert.equal(item.checked_at, FIXED_NOW.toISOString());
+  assert.deepEqual([item.search_query, item.search_queries, item.search_page, item.search_rank], ['software engineer in Lagos', ['software engineer in Lagos', 'backend'], 2, 25]);
+});
+
+test('reparse keeps closed job URLs given directly and applies the filters', async () => {
+  const archive = createSnapshotArchive({ store: memoryStore() });
+  await archive.save({ url: JOB_URL, html: fixtureHtml('detail-jsonld.html'), label: 'DETAIL', fetchedAt: FIXED_NOW, meta: { status_code: 200, search_query: 'jobUrls', direct: true } });
+  await archive.save({ url: 'https://www.jobberman.com/listings/gone-abc', html: '', label: 'DETAIL', fetchedAt: FIXED_NOW, meta: { status_code: 404, search_query: 'jobUrls', direct: true } });
+
+  const items = await collect(reparseSnapshots(archive, { country: COUNTRIES[DEFAULT_COUNTRY] }));
+  assert.deepEqual(items.map((it) => [it.url, it.status]), [['https://www.jobberman.com/listings/gone-abc', 'closed'], [JOB_URL, 'open']]);
+
+  const filtered = await collect(reparseSnapshots(archive, { country: COUNTRIES[DEFAULT_COUNTRY], itemFilter: createItemFilter({ excludeKeywords: ['backend'] }) }));
+  assert.deepEqual(filtered.map((it) => it.status), ['closed']);
+});
+
+test('reparse in listing mode turns the cards of LIST snapshots into ranked items', async () => {
+  const archive = createSnapshotArchive({ store: memoryStore() });
+  await archive.save({ url: PAGE_URL, html: fixtureHtml('listing.html'), label: 'LIST', fetchedAt: FIXED_NOW, meta: { search_query: 'software engineer in Lagos', page_no: 2, rank_offset: 20 } });
+  await archive.save({ url: JOB_URL, html: fixtureHtml('detail-jsonld.html'), label: 'DETAIL', fetchedAt: FIXED_NOW });
+
+  const items = await collect(reparseSnapshots(archive, { collectDetails: false, country: COUNTRIES[DEFAULT_COUNTRY] }));
+  assert.equal(items.length, 3);
+  assert.equal(items[0].url, 'https://www.jobberman.com/listings/software-engineer-abc123');
+  assert.ok(items[0].title);
+  assert.deepEqual(items.map((it) => it.search_rank), [21, 22, 23]);
+  assert.ok(items.every((it) => it.search_page === 2 && it.status === 'open' && it.search_query === 'software engineer in Lagos'));
+});
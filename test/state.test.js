@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { crawlStateKey, encodeState, decodeState, searchesFingerprint } from '../src/state.js';
+
+test('crawl state survives a JSON round trip with Maps and Sets', () => {
+  const state = {
+    jobsScraped: 3,
+    scrapedUrls: new Set(['https://www.jobberman.com/listings/a', 'https://www.jobberman.com/listings/b']),
+    queriesByUrl: new Map([['https://www.jobberman.com/listings/a', new Set(['accountant', 'accountant in Lagos'])]]),
+    pushedQueryCounts: new Map([['https://www.jobberman.com/listings/a', 2]]),
+    searches: [{ scraped: 2, enqueued: 4, exhausted: false, pendingNext: { url: 'https://www.jobberman.com/jobs?page=2', pageNo: 2 } }],
+    incremental: null,
+  };
+  const restored = decodeState(JSON.parse(JSON.stringify(encodeState(state))));
+  assert.deepEqual(restored, state);
+  assert.ok(restored.queriesByUrl.get('https://www.jobberman.com/listings/a') instanceof Set);
+});
+
+test('decodeState passes through a missing record', () => {
+  assert.equal(decodeState(null), null);
+  assert.equal(decodeState(undefined), undefined);
+});
+
+test('searchesFingerprint changes with the searches', () => {
+  const a = [{ url: 'https://www.jobberman.com/jobs?q=a', resultsWanted: 10, postedDate: '7d' }];
+  const b = [{ url: 'https://www.jobberman.com/jobs?q=a', resultsWanted: 20, postedDate: '7d' }];
+  assert.equal(searchesFingerprint(a), searchesFingerprint(structuredClone(a)));
+  assert.notEqual(searchesFingerprint(a), searchesFingerprint(b));
+});
+
+test('crawlStateKey gives every request queue its own record', () => {
+  assert.equal(crawlStateKey('a1B2c3'), 'CRAWL_STATE-a1B2c3');
+  assert.notEqual(crawlStateKey('queue-1'), crawlStateKey('queue-2'));
+  // Key-value store keys only allow a few characters besides letters and digits
+  assert.equal(crawlStateKey('run/42 queue'), 'CRAWL_STATE-run-42-queue');
+});
@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { load as cheerioLoad } from 'cheerio';
+import { detectClosedPosting, postingOutcome } from '../src/status.js';
+import { FIXED_NOW, loadFixture } from './helpers.js';
+
+const URL_ = 'https://www.jobberman.com/listings/senior-backend-engineer-p4y5t4';
+
+test('detectClosedPosting recognises removed, redirected and withdrawn postings', () => {
+  const page = (html) => cheerioLoad(html);
+  assert.equal(detectClosedPosting({ statusCode: 404, url: URL_, $: page('<h1>Oops</h1>') }), 'http-404');
+  assert.equal(detectClosedPosting({ statusCode: 410, url: URL_ }), 'http-410');
+  assert.equal(detectClosedPosting({ statusCode: 200, url: URL_, loadedUrl: 'https://www.jobberman.com/jobs?q=backend', $: page('<h1>Jobs</h1>') }), 'redirected');
+  assert.equal(detectClosedPosting({ statusCode: 200, url: URL_, $: page('<main><div class="alert">This job is no longer available.</div></main>') }), 'no-longer-available');
+  assert.equal(detectClosedPosting({ statusCode: 200, url: URL_, $: page('<main><h2>Applications are now closed</h2></main>') }), 'no-longer-available');
+});
+
+test('detectClosedPosting leaves open postings alone', () => {
+  assert.equal(detectClosedPosting({ statusCode: 200, url: URL_, loadedUrl: URL_, $: loadFixture('detail-jsonld.html'), now: FIXED_NOW }), null);
+  assert.equal(detectClosedPosting({ statusCode: 200, url: URL_, $: loadFixture('detail-no-jsonld.html') }), null);
+  // A redirect to the canonical spelling of the same posting is fine
+  assert.equal(detectClosedPosting({ statusCode: 200, url: URL_, loadedUrl: 'https://www.jobberman.com/listings/senior-backend-engineer-p4y5t4-1' }), null);
+  // Only notices count, not the description's own wording
+  const $ = cheerioLoad('<main><h1>Driver</h1><p>Applications closed on the deadline will not be considered. This role is no longer available to part-timers.</p></main>');
+  assert.equal(detectClosedPosting({ statusCode: 200, url: URL_, $ }), null);
+});
+
+test('detectClosedPosting marks postings past their deadline as expired', () => {
+  const now = new Date('2026-10-19T12:00:00Z');
+  assert.equal(detectClosedPosting({ statusCode: 200, url: URL_, validThrough: '2026-10-01T00:00:00.000Z', now }), 'expired');
+  assert.equal(detectClosedPosting({ statusCode: 200, url: URL_, validThrough: '2026-11-01T00:00:00.000Z', now }), null);
+  assert.equal(detectClosedPosting({ statusCode: 200, url: URL_, validThrough: null, now }), null);
+});
+
+test('postingOutcome reports removed and unreadable job URLs given directly, and skips them from searches', () => {
+  for (const closedBy of ['http-404', 'http-410', 'redirected', 'no-longer-available']) {
+    assert.deepEqual(postingOutcome({ closedBy, hasTitle: false, direct: true }), { status: 'closed', blank: true, removed: true });
+    assert.deepEqual(postingOutcome({ closedBy, hasTitle: true }), { skipped: 'closed', removed: true });
+  }
+  assert.deepEqual(postingOutcome({ closedBy: null, hasTitle: false, direct: true }), { status: 'unknown', blank: true });
+  assert.deepEqual(postingOutcome({ closedBy: null, hasTitle: false }), { skipped: 'unreadable' });
+});
+
+test('postingOutcome keeps readable postings whole, closed once past their deadline', () => {
+  assert.deepEqual(postingOutcome({ closedBy: null, hasTitle: true }), { status: 'open' });
+  assert.deepEqual(postingOutcome({ closedBy: 'expired', hasTitle: true, direct: true }), { status: 'closed' });
+  // Without a title there is nothing left to keep
+  assert.deepEqual(postingOutcome({ closedBy: 'expired', hasTitle: false, direct: true }), { status: 'unknown', blank: true });
+});
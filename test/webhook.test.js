@@ -0,0 +1,113 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { once } from 'node:events';
+import { parseAuthHeader, createWebhookSink } from '../src/webhook.js';
+
+const quietLog = { warning: () => {}, error: () => {}, debug: () => {} };
+
+// Local stand-in for the ingestion service: `respond(n)` picks the status of the n-th request
+const startServer = async (respond = () => 200, delayMs = 0) => {
+  const requests = [];
+  const server = createServer(async (req, res) => {
+    let body = '';
+    for await (const chunk of req) body += chunk;
+    requests.push({ headers: req.headers, body: JSON.parse(body) });
+    if (delayMs) await new Promise((resolve) => setTimeout(resolve, delayMs));
+    res.writeHead(respond(requests.length)).end();
+  });
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  return { url: `http://127.0.0.1:${server.address().port}/ingest`, requests, close: () => server.close() };
+};
+
+const memoryStore = () => {
+  const records = {};
+  return { records, setValue: async (key, value) => { records[key] = value; } };
+};
+
+test('parseAuthHeader accepts a full header or an Authorization value', () => {
+  assert.deepEqual(parseAuthHeader('X-Api-Key: abc123'), { 'X-Api-Key': 'abc123' });
+  assert.deepEqual(parseAuthHeader('Bearer abc123'), { Authorization: 'Bearer abc123' });
+  assert.deepEqual(parseAuthHeader(''), {});
+});
+
+test('webhook sink sends full batches in order with the auth header, and the rest on close', async () => {
+  const server = await startServer();
+  try {
+    const sink = createWebhookSink({ url: server.url, authHeader: 'Bearer t0k3n', batchSize: 2, flushIntervalSecs: 0, runId: 'run', log: quietLog });
+    sink.add([{ n: 1 }, { n: 2 }, { n: 3 }]);
+    sink.add({ n: 4 });
+    sink.add({ n: 5 });
+    const stats = await sink.close();
+    assert.deepEqual(server.requests.map((r) => r.body.items.map((it) => it.n)), [[1, 2], [3, 4], [5]]);
+    assert.deepEqual(server.requests.map((r) => r.body.batch_id), ['run-1', 'run-2', 'run-3']);
+    assert.equal(server.requests[0].headers.authorization, 'Bearer t0k3n');
+    assert.equal(server.requests[0].body.count, 2);
+    assert.deepEqual(stats, { items_sent: 5, batches_sent: 3, retries: 0, batches_failed: 0, items_failed: 0 });
+    assert.throws(() => sink.add({ n: 6 }), /closed/);
+  } finally {
+    server.close();
+  }
+});
+
+test('webhook sink flushes partial batches on its interval', async () => {
+  const server = await startServer();
+  try {
+    const sink = createWebhookSink({ url: server.url, batchSize: 100, flushIntervalSecs: 0.05, log: quietLog });
+    sink.add({ n: 1 });
+    await new Promise((resolve) => setTimeout(resolve, 200));
+    assert.equal(server.requests.length, 1);
+    await sink.close();
+  } finally {
+    server.close();
+  }
+});
+
+test('webhook sink retries 5xx responses with backoff', async () => {
+  const server = await startServer((n) => (n < 3 ? 503 : 200));
+  try {
+    const sink = createWebhookSink({ url: server.url, batchSize: 1, flushIntervalSecs: 0, retryBaseMs: 5, log: quietLog });
+    sink.add({ n: 1 });
+    const stats = await sink.close();
+    assert.equal(server.requests.length, 3);
+    assert.equal(stats.items_sent, 1);
+    assert.equal(stats.retries, 2);
+  } finally {
+    server.close();
+  }
+});
+
+test('webhook sink dead-letters batches that keep failing or are rejected', async () => {
+  const server = await startServer((n) => (n <= 3 ? 500 : 400));
+  const store = memoryStore();
+  try {
+    const sink = createWebhookSink({ url: server.url, batchSize: 1, flushIntervalSecs: 0, maxRetries: 2, retryBaseMs: 5, runId: 'run', store, log: quietLog });
+    sink.add([{ n: 1 }, { n: 2 }]);
+    const stats = await sink.close();
+    // Batch 1: three 500s (first try + 2 retries); batch 2: a 400 is not retried
+    assert.equal(server.requests.length, 4);
+    assert.deepEqual(Object.keys(store.records), ['WEBHOOK_FAILED_run-1', 'WEBHOOK_FAILED_run-2']);
+    assert.equal(store.records['WEBHOOK_FAILED_run-1'].attempts, 3);
+    assert.equal(store.records['WEBHOOK_FAILED_run-1'].status, 500);
+    assert.equal(store.records['WEBHOOK_FAILED_run-2'].attempts, 1);
+    assert.deepEqual(store.records['WEBHOOK_FAILED_run-2'].items, [{ n: 2 }]);
+    assert.equal(stats.batches_failed, 2);
+  } finally {
+    server.close();
+  }
+});
+
+test('webhook sink does not block add() on a slow endpoint', async () => {
+  const server = await startServer(() => 200, 300);
+  try {
+    const sink = createWebhookSink({ url: server.url, batchSize: 1, flushIntervalSecs: 0, log: quietLog });
+    const started = Date.now();
+    for (let n = 0; n < 3; n++) sink.add({ n });
+    assert.ok(Date.now() - started < 100);
+    assert.equal(sink.stats().items_sent, 0);
+    assert.equal((await sink.close()).items_sent, 3);
+  } finally {
+    server.close();
+  }
+});